@@ -11,6 +11,11 @@ const cors = require('cors');
 require('dotenv/config');
 const authJwt = require('./helpers/jwt');
 const errorHandler = require('./helpers/error-handler');
+const serveStoredFile = require('./helpers/uploads');
+const { startReservationSweeper } = require('./jobs/reservations');
+const { startAbandonedCartSweeper } = require('./jobs/abandonedCarts');
+const { startCatalogueImportWorker } = require('./jobs/catalogueImports');
+const { startImageBackfill } = require('./jobs/imageBackfill');
 
 
 app.use(cors());
@@ -25,6 +30,7 @@ var productRoutes = require('./routes/product');
 var indexRouter = require('./routes/index');
 var sizeRoutes = require('./routes/sizes');
 var orderRoutes = require('./routes/orders');
+var customerOrdersRouter = require('./routes/customerOrders');
 var emailSubscriptionsRoutes = require('./routes/emailSubscriptions');
 var wishListRouter = require('./routes/wishList');
 var categoriesRouter = require('./routes/categories');
@@ -33,17 +39,28 @@ var discountCodeRouter = require('./routes/discountCode');
 var bookingsRouter = require('./routes/booking');
 var staffRouter = require('./routes/staff');
 var serviceRouter = require('./routes/services');
+var paymentsRouter = require('./routes/payments');
+var inventoryRouter = require('./routes/inventory');
+var shippingRouter = require('./routes/shipping');
+var shipmentsRouter = require('./routes/shipments');
+var analyticsRouter = require('./routes/analytics');
+var cartRouter = require('./routes/cart');
+var returnsRouter = require('./routes/returns');
+var reviewsRouter = require('./routes/reviews');
+var catalogueRouter = require('./routes/catalogue');
 //Middleware
-app.use(express.json());
+// Keep the raw body around, some payment gateways sign it byte for byte
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
 app.use(morgan('tiny'));
 app.use('/api/v1', authJwt());
 app.use(authJwt());
 app.use("/public/uploads", express.static(__dirname + "/public/uploads"));
+app.use("/public/uploads", serveStoredFile);
 app.use(errorHandler);
 //----
 app.use(logger('dev'));
 app.use(express.json());
-app.use(express.urlencoded({ extended: false }));
+app.use(express.urlencoded({ extended: false, verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
 app.use(cookieParser());
 //app.use(express.static(path.join(__dirname, 'public')));
 
@@ -65,6 +82,8 @@ app.options('*',cors());
  app.use(`${api}/wishlists`, wishListRouter);
  app.use(`${api}/categories`, categoriesRouter);
  app.use(`${api}/emailsub`, emailSubscriptionsRoutes);
+ // Mounted ahead of the orders router so /orders/mine isn't taken for an order ID
+ app.use(`${api}/orders/mine`, customerOrdersRouter);
  app.use(`${api}/orders`, orderRoutes);
  app.use(`${api}/products`, productRoutes);
  app.use(`${api}/customer`, customerRoutes);
@@ -75,11 +94,24 @@ app.options('*',cors());
  app.use(`${api}/bookings`, bookingsRouter);
  app.use(`${api}/staff`, staffRouter);
  app.use(`${api}/services`, serviceRouter);
+ app.use(`${api}/payments`, paymentsRouter);
+ app.use(`${api}/inventory`, inventoryRouter);
+ app.use(`${api}/shipping`, shippingRouter);
+ app.use(`${api}/shipments`, shipmentsRouter);
+ app.use(`${api}/analytics`, analyticsRouter);
+ app.use(`${api}/cart`, cartRouter);
+ app.use(`${api}/returns`, returnsRouter);
+ app.use(`${api}/reviews`, reviewsRouter);
+ app.use(`${api}/catalogue`, catalogueRouter);
 
 // mongoose.connect(process.env.CONNECTION_STRING,{ useNewUrlParser: true,useUnifiedTopology: true, dbName: 'KhanaConnect_DevDB',} )
  mongoose.connect(process.env.CONNECTION_STRING,{ useNewUrlParser: true,useUnifiedTopology: true, dbName: 'KhanaConnect_ProdDB'} )
 .then(()=>{
     console.log('Database Connection is ready...')
+    startReservationSweeper();
+    startAbandonedCartSweeper();
+    startCatalogueImportWorker().catch(error => console.error('Error starting catalogue imports:', error));
+    startImageBackfill();
 })
 .catch((err)=>{
     console.log(err);
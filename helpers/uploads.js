@@ -0,0 +1,26 @@
+const { readFile } = require('../utils/storage');
+
+// Files in public/uploads are served by express.static, this serves the rest of
+// /public/uploads from the storage backend (S3 buckets that aren't public).
+async function serveStoredFile(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    const key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+    if (!key || key.includes('/') || key.includes('\\')) return next();
+
+    try {
+        const file = await readFile(key);
+        if (!file) return next();
+
+        if (file.contentType) res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        if (req.method === 'HEAD') return res.end();
+        file.body.on('error', next);
+        file.body.pipe(res);
+    } catch (error) {
+        console.error(`Error reading stored file ${key}:`, error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+}
+
+module.exports = serveStoredFile;
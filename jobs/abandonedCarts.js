@@ -0,0 +1,58 @@
+const { Cart } = require('../models/cart');
+const Client = require('../models/client');
+const { restoreUrl } = require('../utils/cart');
+const { sendAbandonedCartEmail } = require('../utils/email');
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Carts nobody has touched since the cutoff and haven't been reminded about yet
+const abandonedFilter = (clientID, cutoff) => ({
+    clientID,
+    status: 'active',
+    'items.0': { $exists: true },
+    recoveryEmailSentAt: null,
+    lastActivityAt: { $lte: cutoff },
+});
+
+// Email a restore link for every abandoned cart of the clients that have reminders turned on.
+// Each cart is reminded once, touching it again starts the wait over.
+async function sendAbandonedCartEmails(now = new Date()) {
+    const clientIDs = await Cart.distinct('clientID', { status: 'active', recoveryEmailSentAt: null, 'items.0': { $exists: true } });
+    let sent = 0;
+
+    for (const clientID of clientIDs) {
+        const client = await Client.findOne({ clientID });
+        if (!client || !client.storefrontUrl || (client.cartRecovery && client.cartRecovery.enabled === false)) {
+            continue;
+        }
+
+        const delayHours = (client.cartRecovery && client.cartRecovery.delayHours) || 24;
+        const cutoff = new Date(now.getTime() - delayHours * 60 * 60 * 1000);
+        const carts = await Cart.find(abandonedFilter(clientID, cutoff)).populate('customer', 'emailAddress');
+
+        for (const cart of carts) {
+            const email = cart.customer ? cart.customer.emailAddress : cart.email;
+            if (!email) continue;
+
+            try {
+                await sendAbandonedCartEmail(email, cart, restoreUrl(client, cart), client.companyName, client.businessEmail, client.businessEmailPassword);
+                await Cart.updateOne({ _id: cart._id }, { recoveryEmailSentAt: now });
+                sent += 1;
+            } catch (error) {
+                console.error(`Error sending abandoned cart email for cart ${cart._id}:`, error);
+            }
+        }
+    }
+
+    return sent;
+}
+
+function startAbandonedCartSweeper() {
+    const timer = setInterval(() => {
+        sendAbandonedCartEmails().catch(error => console.error('Error sweeping abandoned carts:', error));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { sendAbandonedCartEmails, startAbandonedCartSweeper };
@@ -0,0 +1,77 @@
+const { ImportJob } = require('../models/importJob');
+const { applyPlanEntry } = require('../utils/catalogue');
+
+const BATCH_SIZE = 25;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let processing = false;
+
+// Import one job's products a batch at a time, saving progress after each batch.
+// A job picked up again after a restart carries on from the last saved batch, products
+// created in it are remembered on the plan so they are updated rather than created twice.
+async function runImportJob(job) {
+    for (let start = job.processed; start < job.products.length; start += BATCH_SIZE) {
+        const batch = job.products.slice(start, start + BATCH_SIZE);
+
+        for (const [offset, entry] of batch.entries()) {
+            try {
+                const { result, product } = await applyPlanEntry(job.clientID, entry, { createCategories: job.createCategories, user: job.createdBy });
+                job[result] += 1;
+                if (result === 'created') {
+                    job.products[start + offset] = { ...entry, productId: String(product._id) };
+                }
+            } catch (error) {
+                job.failed += 1;
+                job.rowErrors.push({ row: entry.row, handle: entry.handle, message: error.message });
+                if (!error.statusCode) {
+                    console.error(`Error importing ${entry.handle} in import ${job._id}:`, error);
+                }
+            }
+        }
+
+        job.processed = Math.min(start + BATCH_SIZE, job.products.length);
+        job.markModified('products');
+        await job.save();
+    }
+
+    job.status = 'completed';
+    job.finishedAt = new Date();
+    await job.save();
+}
+
+// Work through queued imports one at a time, oldest first
+async function processImportJobs() {
+    if (processing) return;
+    processing = true;
+    try {
+        let job;
+        while ((job = await ImportJob.findOneAndUpdate(
+            { status: 'queued' },
+            { status: 'running', startedAt: new Date() },
+            { sort: { createdAt: 1 }, new: true }
+        ))) {
+            try {
+                await runImportJob(job);
+            } catch (error) {
+                console.error(`Import ${job._id} failed:`, error);
+                await ImportJob.updateOne({ _id: job._id }, { status: 'failed', finishedAt: new Date() });
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+// Jobs that were running when the server stopped go back in the queue
+async function startCatalogueImportWorker() {
+    await ImportJob.updateMany({ status: 'running' }, { status: 'queued' });
+    processImportJobs().catch(error => console.error('Error processing catalogue imports:', error));
+
+    const timer = setInterval(() => {
+        processImportJobs().catch(error => console.error('Error processing catalogue imports:', error));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { processImportJobs, startCatalogueImportWorker };
@@ -0,0 +1,100 @@
+const Product = require('../models/product');
+const { Category } = require('../models/category');
+const { isProcessed, imageUrl, processImageUrl } = require('../utils/images');
+
+const BATCH_SIZE = 20;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+let processing = false;
+
+// Bare URLs from before processing, and image objects without renditions (imported by URL)
+// that haven't failed before
+const needsProcessing = (image) => Boolean(image) && !isProcessed(image) && !(typeof image === 'object' && image.error);
+
+const unprocessedProducts = {
+    $or: [
+        { images: { $type: 'string' } },
+        { images: { $elemMatch: { 'variants.0': { $exists: false }, error: { $exists: false } } } },
+    ],
+};
+
+const unprocessedCategories = {
+    $or: [
+        { image: { $type: 'string' } },
+        { 'image.url': { $exists: true }, 'image.variants.0': { $exists: false }, 'image.error': { $exists: false } },
+    ],
+};
+
+// Download and process one image. The original stays where it is, orders, emails and SKUs may
+// still link to it, and is kept as `source`. Images that can't be fetched or read keep their URL
+// and get an `error` so they aren't tried again.
+async function reprocessImage(image, alt) {
+    const url = imageUrl(image);
+    const imageAlt = (typeof image === 'object' && image.alt) || alt || '';
+    try {
+        const processed = await processImageUrl(url, { alt: imageAlt });
+        return { ...processed, source: url };
+    } catch (error) {
+        console.error(`Error reprocessing image ${url}:`, error.message);
+        return { url, alt: imageAlt, variants: [], error: error.message };
+    }
+}
+
+// Only written back when the images haven't changed meanwhile, an edit in between wins and the
+// next sweep picks the product up again
+async function backfillProduct(product) {
+    const images = [];
+    for (const image of product.images) {
+        images.push(needsProcessing(image) ? await reprocessImage(image, product.productName) : image);
+    }
+    const { modifiedCount } = await Product.updateOne({ _id: product._id, images: product.images }, { $set: { images } });
+    return modifiedCount > 0;
+}
+
+async function backfillCategory(category) {
+    const image = await reprocessImage(category.image, category.name);
+    const { modifiedCount } = await Category.updateOne({ _id: category._id, image: category.image }, { $set: { image } });
+    return modifiedCount > 0;
+}
+
+// Reprocess every product and category image saved before uploads were processed.
+// Returns how many products and categories were updated.
+async function backfillImages() {
+    if (processing) return { products: 0, categories: 0 };
+    processing = true;
+    const done = { products: 0, categories: 0 };
+    try {
+        for (const [Model, backfill, filter, key] of [
+            [Product, backfillProduct, unprocessedProducts, 'products'],
+            [Category, backfillCategory, unprocessedCategories, 'categories'],
+        ]) {
+            // Stop when a batch gets nowhere, what's left is being edited and waits for the next sweep
+            let progress = true;
+            while (progress) {
+                const batch = await Model.find(filter).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+                progress = false;
+                for (const record of batch) {
+                    if (await backfill(record)) {
+                        done[key] += 1;
+                        progress = true;
+                    }
+                }
+            }
+        }
+        return done;
+    } finally {
+        processing = false;
+    }
+}
+
+function startImageBackfill() {
+    backfillImages().catch(error => console.error('Error backfilling images:', error));
+
+    const timer = setInterval(() => {
+        backfillImages().catch(error => console.error('Error backfilling images:', error));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { backfillImages, startImageBackfill };
@@ -0,0 +1,39 @@
+const { Order } = require('../models/order');
+const { canTransition, transitionOrder } = require('../utils/orderStatus');
+const { releaseReservation } = require('../utils/inventory');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Cancel unpaid orders whose stock hold has run out, which puts the stock back
+async function releaseExpiredReservations(now = new Date()) {
+    const expired = await Order.find({
+        paid: false,
+        'reservation.status': 'held',
+        'reservation.expiresAt': { $lte: now },
+    });
+
+    for (const order of expired) {
+        try {
+            if (canTransition(order.status, 'Cancelled')) {
+                await transitionOrder(order, 'Cancelled', { changedBy: 'system', note: 'Not paid before the stock reservation expired' });
+            } else {
+                await releaseReservation(order);
+                await order.save();
+            }
+        } catch (error) {
+            console.error(`Error releasing reservation for order ${order._id}:`, error);
+        }
+    }
+
+    return expired.length;
+}
+
+function startReservationSweeper() {
+    const timer = setInterval(() => {
+        releaseExpiredReservations().catch(error => console.error('Error sweeping stock reservations:', error));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { releaseExpiredReservations, startReservationSweeper };
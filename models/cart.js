@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// checking_out while its order is being placed
+const CART_STATUSES = ['active', 'checking_out', 'converted'];
+
+const cartItemSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    sku: { type: String }, // SKU ID or code, see utils/variants.js
+    // Chosen variant values, same as an order line, for products without SKUs
+    size: { type: String },
+    color: { type: String },
+    material: { type: String },
+    style: { type: String },
+    title: { type: String },
+    // Price when the cart was last changed, worked out again at checkout
+    productName: { type: String },
+    options: [{ name: String, value: String, price: Number, _id: false }],
+    unitPrice: { type: Number },
+    discount: { type: Number, default: 0 },
+    lineTotal: { type: Number },
+});
+
+const cartSchema = new mongoose.Schema({
+    clientID: { type: String, required: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    token: { type: String, required: true, unique: true }, // Identifies anonymous carts, sent back in X-Cart-Token
+    email: { type: String, trim: true, lowercase: true }, // Where recovery emails go when there's no customer
+    items: [cartItemSchema],
+    discountCode: { type: String },
+    subtotal: { type: Number, default: 0 },
+    saleSavings: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }, // Before delivery
+    pricedAt: { type: Date },
+    status: { type: String, enum: CART_STATUSES, default: 'active' },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Set once checked out
+    lastActivityAt: { type: Date, default: Date.now },
+    recoveryEmailSentAt: { type: Date }, // One reminder per period of inactivity
+}, { timestamps: true });
+
+cartSchema.index({ clientID: 1, customer: 1, status: 1 });
+cartSchema.index({ status: 1, recoveryEmailSentAt: 1, lastActivityAt: 1 });
+
+cartSchema.virtual('id').get(function () { return this._id.toHexString(); });
+cartSchema.set('toJSON', { virtuals: true });
+
+exports.CART_STATUSES = CART_STATUSES;
+exports.Cart = mongoose.model('Cart', cartSchema);
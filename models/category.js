@@ -1,13 +1,13 @@
-const mongoose = require('mongoose');
-
-const categorySchema = mongoose.Schema({
-    name: {type: String, required: true},
-    image: { type: String }, // image URL
-    icon: {type: String},
-    color: {type: String},
-    clientID: {type: String},
-});
-
-categorySchema.virtual('id').get(function () {return this._id.toHexString();});
-categorySchema.set('toJSON', {virtuals: true,});
+const mongoose = require('mongoose');
+
+const categorySchema = mongoose.Schema({
+    name: {type: String, required: true},
+    image: { type: mongoose.Schema.Types.Mixed }, // { url, alt, width, height, variants } or a bare URL, see utils/images.js
+    icon: {type: String},
+    color: {type: String},
+    clientID: {type: String},
+});
+
+categorySchema.virtual('id').get(function () {return this._id.toHexString();});
+categorySchema.set('toJSON', {virtuals: true,});
 exports.Category = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -1,35 +1,59 @@
-const mongoose = require('mongoose');
-const Schema = mongoose.Schema;
-
-const clientSchema = new Schema({
-  clientID: { type: String, required: true, unique: true },
-  companyName: { type: String, required: true },
-  merchant_id: {type: Number, required: true, unique: true},
-  merchant_key: {type: String, required: true, unique: true},
-  passphrase : {type: String, required: true, unique: true},
-  password: {type: String, required: true},
-  token: {type: String, required: true, unique: true},
-  return_url: {type: String, required: true},
-  businessEmail:{type: String, required: true, unique: true},
-  businessEmailPassword:{type: String, required: true,},
-  cancel_url:{type: String, required: true},
-  notify_url:{type: String, required: true},
-  sessionToken: { type: String, default: null }, // Session token
-  sessionExpires: { type: Date, default: null }, // Session expiration
-  isLoggedIn: { type: Boolean, default: false },  // Login status
-  permissions: {
-    bookings: { type: Boolean, default: false },
-    orders: { type: Boolean, default: false },
-    staff: { type: Boolean, default: false }
-  }
-  // DiliveryOptions:[{type: String}],
-  // Other client-related fields
-});
-
-clientSchema.virtual('id').get(function () {
-  return this._id.toHexString();
-});
-clientSchema.set('toJSON', { virtuals: true });
-
-const Client = mongoose.model('Client', clientSchema);
-module.exports = Client;
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const clientSchema = new Schema({
+  clientID: { type: String, required: true, unique: true },
+  companyName: { type: String, required: true },
+  merchant_id: {type: Number, required: true, unique: true},
+  merchant_key: {type: String, required: true, unique: true},
+  passphrase : {type: String, required: true, unique: true},
+  password: {type: String, required: true},
+  token: {type: String, required: true, unique: true},
+  return_url: {type: String, required: true},
+  businessEmail:{type: String, required: true, unique: true},
+  businessEmailPassword:{type: String, required: true,},
+  cancel_url:{type: String, required: true},
+  notify_url:{type: String, required: true},
+  vatNumber: { type: String, default: '' }, // Printed on invoices when the client is VAT registered
+  address: { type: String, default: '' }, // Business address for invoices
+  // Tax, see utils/tax.js
+  vatRegistered: { type: Boolean, default: false },
+  defaultTaxRate: { type: Number, min: 0, max: 100, default: 15 }, // Percentage for standard-rated items
+  pricesIncludeTax: { type: Boolean, default: true }, // Whether product and service prices are entered with VAT
+  // Order numbers, e.g. KC-10001. See utils/orders.js
+  orderNumberPrefix: { type: String, trim: true, uppercase: true, default: '' },
+  orderNumberStart: { type: Number, min: 0, default: 10000 }, // The first order gets the number after this
+  storefrontUrl: { type: String, default: '' }, // Base URL of the client's shop, used for links in emails
+  returnInstructions: { type: String, default: '' }, // How customers send returns back, e.g. the return address
+  // Abandoned cart reminders, see jobs/abandonedCarts.js
+  cartRecovery: {
+    enabled: { type: Boolean, default: true },
+    delayHours: { type: Number, min: 1, default: 24 }, // How long a cart sits untouched before the reminder
+  },
+  payfastMode: { type: String, enum: ['sandbox', 'live'], default: 'live' }, // Which PayFast environment checkouts go to
+  // Gateways this client accepts. When empty, PayFast is used with the merchant fields above.
+  paymentProviders: [{
+    provider: { type: String, enum: ['payfast', 'yoco', 'ozow', 'eft', 'fake'], required: true },
+    enabled: { type: Boolean, default: true },
+    mode: { type: String, enum: ['sandbox', 'live'], default: 'live' },
+    config: { type: Schema.Types.Mixed, default: {} }, // Provider credentials and URLs
+  }],
+  sessionToken: { type: String, default: null }, // Session token
+  sessionExpires: { type: Date, default: null }, // Session expiration
+  isLoggedIn: { type: Boolean, default: false },  // Login status
+  permissions: {
+    bookings: { type: Boolean, default: false },
+    orders: { type: Boolean, default: false },
+    staff: { type: Boolean, default: false }
+  }
+  // Delivery methods and prices live in ShippingConfig
+  // Other client-related fields
+});
+
+clientSchema.virtual('id').get(function () {
+  return this._id.toHexString();
+});
+clientSchema.set('toJSON', { virtuals: true });
+
+const Client = mongoose.model('Client', clientSchema);
+module.exports = Client;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Per-client number sequences, e.g. invoice numbers
+const counterSchema = new mongoose.Schema({
+    clientID: { type: String, required: true },
+    name: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+});
+
+counterSchema.index({ clientID: 1, name: 1 }, { unique: true });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+// Atomically take the next number of a sequence, starting at 1
+async function nextSequence(clientID, name, { session } = {}) {
+    const counter = await Counter.findOneAndUpdate(
+        { clientID, name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+    return counter.seq;
+}
+
+exports.Counter = Counter;
+exports.nextSequence = nextSequence;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// queued → running → completed, or failed when the job itself broke off.
+// Rows that fail on their own are counted in `failed` and the job carries on.
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const importErrorSchema = new mongoose.Schema({
+    row: { type: Number }, // Line in the file, the header is row 1
+    handle: { type: String },
+    column: { type: String },
+    message: { type: String, required: true },
+}, { _id: false });
+
+// A catalogue import, see utils/catalogue.js. The validated products are kept on the job
+// so it can be picked up again after a restart.
+const importJobSchema = new mongoose.Schema({
+    clientID: { type: String, required: true },
+    status: { type: String, enum: IMPORT_STATUSES, default: 'queued' },
+    fileName: { type: String },
+    createdBy: { type: String },
+    createCategories: { type: Boolean, default: false },
+    products: [{ type: mongoose.Schema.Types.Mixed }], // Import plan, one entry per product
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    rowErrors: [importErrorSchema], // Rows that failed while importing
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+}, { timestamps: true });
+
+importJobSchema.index({ clientID: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, createdAt: 1 });
+
+importJobSchema.virtual('id').get(function () { return this._id.toHexString(); });
+importJobSchema.set('toJSON', {
+    virtuals: true,
+    // The plan can be large and is of no use to the merchant
+    transform: (doc, ret) => {
+        delete ret.products;
+        return ret;
+    },
+});
+
+exports.IMPORT_STATUSES = IMPORT_STATUSES;
+exports.ImportJob = mongoose.model('ImportJob', importJobSchema);
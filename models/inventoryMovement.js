@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_REASONS = ['initial', 'sale', 'cancellation', 'refund', 'adjustment', 'stocktake', 'return'];
+
+// One change to one stock figure. Entries without a variant or SKU move the product's countInStock,
+// entries with one move that variant value's or SKU's stock. Summing the deltas replays current stock.
+const inventoryMovementSchema = new mongoose.Schema({
+    clientID: { type: String, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant: {
+        variantId: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String }, // e.g. "Size"
+        valueId: { type: mongoose.Schema.Types.ObjectId },
+        value: { type: String }, // e.g. "M"
+    },
+    sku: {
+        skuId: { type: mongoose.Schema.Types.ObjectId },
+        code: { type: String },
+    },
+    delta: { type: Number, required: true },
+    reason: { type: String, enum: MOVEMENT_REASONS, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    user: { type: String }, // clientID, customer ID or 'system'
+    note: { type: String },
+}, { timestamps: true });
+
+inventoryMovementSchema.index({ clientID: 1, product: 1, createdAt: 1 });
+inventoryMovementSchema.index({ order: 1 });
+
+inventoryMovementSchema.virtual('id').get(function () { return this._id.toHexString(); });
+inventoryMovementSchema.set('toJSON', { virtuals: true });
+
+exports.MOVEMENT_REASONS = MOVEMENT_REASONS;
+exports.InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
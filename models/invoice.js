@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const invoiceLineSchema = new mongoose.Schema({
+    orderItem: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem' },
+    description: { type: String, required: true },
+    options: { type: String }, // e.g. "Size: M, Color: Red"
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true }, // As the price was entered, with or without VAT
+    discount: { type: Number, default: 0 },
+    total: { type: Number, required: true }, // With VAT, after the discount
+    vatRate: { type: Number, required: true },
+    vatAmount: { type: Number, required: true },
+    netAmount: { type: Number, required: true },
+}, { _id: false });
+
+// A tax invoice for a paid order, or a credit note for a refund against one.
+// Everything printed is copied in so the document never changes after it was issued.
+const invoiceSchema = new mongoose.Schema({
+    clientID: { type: String, required: true },
+    type: { type: String, enum: ['invoice', 'credit_note'], required: true },
+    sequence: { type: Number, required: true },
+    number: { type: String, required: true }, // e.g. INV-000042, CN-000007
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' }, // Credit notes only
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // Invoice a credit note is against
+    issuedAt: { type: Date, default: Date.now },
+    seller: {
+        companyName: { type: String },
+        vatRegistered: { type: Boolean },
+        vatNumber: { type: String },
+        address: { type: String },
+        email: { type: String },
+    },
+    buyer: {
+        name: { type: String },
+        email: { type: String },
+        address: { type: String },
+        postalCode: { type: String },
+        phone: { type: String },
+    },
+    lines: [invoiceLineSchema],
+    subtotal: { type: Number, required: true }, // Lines before discounts, as prices were entered
+    discountAmount: { type: Number, default: 0 },
+    deliveryPrice: { type: Number, default: 0 },
+    netAmount: { type: Number, required: true },
+    vatAmount: { type: Number, required: true },
+    total: { type: Number, required: true },
+    reason: { type: String }, // Credit notes only
+}, { timestamps: true });
+
+invoiceSchema.index({ clientID: 1, type: 1, sequence: 1 }, { unique: true });
+// One invoice per order, any number of credit notes
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+invoiceSchema.virtual('id').get(function () { return this._id.toHexString(); });
+invoiceSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,42 +1,128 @@
-const mongoose = require('mongoose');
-
-const orderSchema = mongoose.Schema({
-    orderItems: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'OrderItem',
-        required: true
-    }],
-    address: { type: String, required: true },
-    phone: { type: String, required: true },
-    postalCode: { type: String, required: true },
-    deliveryType: { type: String, required: true },
-    deliveryPrice: { type: Number, required: true },
-    status: { type: String, required: true, default: 'Pending' },
-    totalPrice: { type: Number },
-    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
-    dateOrdered: {
-        type: Date,
-        default: Date.now
-    },
-    clientID: { type: String, required: true },
-    orderTrackingLink: { type: String, required: false },
-    orderTrackingCode: { type: String, required: false },
-    paid: { type: Boolean, default: false },
-
-    // Fields for checkout code functionality
-    checkoutCode: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountCode', required: false },  // Reference to DiscountCode
-    discountAmount: { type: Number, default: 0 },  // Discount amount calculated from the checkout code
-    finalPrice: { type: Number, required: true },  // Final price after applying the discount
-});
-
-// Virtual for calculating the final price after applying the discount
-orderSchema.virtual('finalPriceCalculated').get(function() {
-    if (this.discountAmount > 0) {
-        return this.totalPrice - this.discountAmount + this.deliveryPrice;
-    }
-    return this.totalPrice + this.deliveryPrice;
-});
-
-orderSchema.set('toJSON', { virtuals: true });
-
-exports.Order = mongoose.model('Order', orderSchema);
+const mongoose = require('mongoose');
+
+// Order lifecycle, see utils/orderStatus.js for the allowed transitions
+const ORDER_STATUSES = ['Pending', 'Paid', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
+
+// Statuses written before the lifecycle was enforced
+const LEGACY_STATUSES = { Processed: 'Processing' };
+
+const statusHistorySchema = new mongoose.Schema({
+    from: { type: String },
+    to: { type: String, enum: ORDER_STATUSES, required: true },
+    changedBy: { type: String }, // clientID, customerID or payment provider that made the change
+    note: { type: String },
+    changedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const orderSchema = mongoose.Schema({
+    orderNumber: { type: String }, // Per-client number customers and merchants see, e.g. KC-10023
+    orderItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderItem',
+        required: true
+    }],
+    address: { type: String, required: true },
+    phone: { type: String, required: true },
+    postalCode: { type: String, required: true },
+    deliveryType: { type: String, required: true }, // Shipping method code, see models/shippingConfig.js
+    deliveryPrice: { type: Number, required: true },
+    collectionPoint: {
+        code: { type: String },
+        name: { type: String },
+        address: { type: String },
+    },
+    status: { type: String, required: true, enum: ORDER_STATUSES, default: 'Pending' },
+    statusHistory: [statusHistorySchema],
+    totalPrice: { type: Number },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    // Who the order is for. Guests have no customer account, only these details.
+    contact: {
+        name: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        phone: { type: String },
+    },
+    dateOrdered: {
+        type: Date,
+        default: Date.now
+    },
+    clientID: { type: String, required: true },
+    orderTrackingLink: { type: String, required: false },
+    orderTrackingCode: { type: String, required: false },
+    paid: { type: Boolean, default: false },
+    paidAt: { type: Date },
+    paymentReference: { type: String }, // Gateway payment ID, e.g. PayFast pf_payment_id
+    refundedAmount: { type: Number, default: 0 },
+    refundStatus: { type: String, enum: ['none', 'partial', 'full'], default: 'none' },
+    exchangeFor: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' }, // Replacement order sent for a return, paid for by the returned goods
+
+    // Fields for checkout code functionality
+    checkoutCode: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountCode', required: false },  // Reference to DiscountCode
+    discountAmount: { type: Number, default: 0 },  // Discount amount calculated from the checkout code
+    finalPrice: { type: Number, required: true },  // Final price after applying the discount
+    storeCredit: { type: Number, default: 0 }, // Paid from the customer's store credit, not part of finalPrice
+    storeCreditReturnedAt: { type: Date }, // When cancelling the order gave the store credit back
+
+    // How finalPrice was worked out, see utils/pricing.js
+    priceBreakdown: {
+        subtotal: { type: Number }, // Lines after sales, before the discount code
+        saleSavings: { type: Number, default: 0 },
+        discountCode: { type: String },
+        discountPercentage: { type: Number, default: 0 },
+        discountAmount: { type: Number, default: 0 },
+        deliveryPrice: { type: Number, default: 0 },
+        storeCredit: { type: Number, default: 0 },
+        total: { type: Number }, // Left to pay after store credit
+        calculatedAt: { type: Date },
+    },
+
+    // Tax on the order, see utils/tax.js. gross is what the customer pays.
+    tax: {
+        registered: { type: Boolean },
+        pricesIncludeTax: { type: Boolean },
+        rates: [{ taxClass: String, rate: Number, net: Number, tax: Number, gross: Number, _id: false }],
+        net: { type: Number },
+        tax: { type: Number },
+        gross: { type: Number },
+    },
+
+    // Stock taken off the shelf for this order, see utils/inventory.js.
+    // Held stock goes back if the order is not paid before expiresAt.
+    reservation: {
+        status: { type: String, enum: ['held', 'committed', 'released'] },
+        expiresAt: { type: Date },
+        releasedAt: { type: Date },
+    },
+});
+
+// Virtual for calculating the final price after applying the discount
+orderSchema.virtual('finalPriceCalculated').get(function() {
+    if (this.discountAmount > 0) {
+        return this.totalPrice - this.discountAmount + this.deliveryPrice;
+    }
+    return this.totalPrice + this.deliveryPrice;
+});
+
+orderSchema.pre('validate', function (next) {
+    if (LEGACY_STATUSES[this.status]) {
+        this.status = LEGACY_STATUSES[this.status];
+    }
+    next();
+});
+
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
+
+// Order list filters and sorts, see utils/orderSearch.js
+orderSchema.index({ clientID: 1, dateOrdered: -1, _id: -1 });
+orderSchema.index({ clientID: 1, status: 1, dateOrdered: -1 });
+orderSchema.index({ clientID: 1, paid: 1, dateOrdered: -1 });
+orderSchema.index({ clientID: 1, customer: 1, dateOrdered: -1 });
+orderSchema.index({ clientID: 1, 'contact.email': 1 });
+orderSchema.index({ clientID: 1, orderNumber: 1 }, { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } });
+orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ clientID: 1, finalPrice: -1, _id: -1 });
+
+orderSchema.set('toJSON', { virtuals: true });
+
+exports.ORDER_STATUSES = ORDER_STATUSES;
+exports.LEGACY_STATUSES = LEGACY_STATUSES;
+exports.Order = mongoose.model('Order', orderSchema);
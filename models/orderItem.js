@@ -1,23 +1,42 @@
-const mongoose = require('mongoose');
-
-
-
-const orderItemSchema = mongoose.Schema({
-    quantity: {
-        type:Number,
-        required: true
-    },
-    product: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Product'
-    },
-    size: {type:String}, // Array of objects representing size variants
-    color: {type:String}, // Array of objects representing color variants
-    material:{type:String}, // Array of objects representing material variants
-    style: {type:String}, // Array of objects representing style variants
-    title: {type:String}, // Array of objects representing title variants
-})
-
-orderItemSchema.virtual('id').get(function (){return this._id.toHexString();});
-orderItemSchema.set('toJSON', {virtuals: true,});
+const mongoose = require('mongoose');
+
+
+
+const orderItemSchema = mongoose.Schema({
+    quantity: {
+        type:Number,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
+    sku: { type: mongoose.Schema.Types.ObjectId }, // The product SKU bought, see Product.skus
+    skuCode: { type: String },
+    // Chosen values for products without SKUs, and on orders placed before SKUs
+    size: {type:String}, // Array of objects representing size variants
+    color: {type:String}, // Array of objects representing color variants
+    material:{type:String}, // Array of objects representing material variants
+    style: {type:String}, // Array of objects representing style variants
+    title: {type:String}, // Array of objects representing title variants
+    refundedQuantity: { type: Number, default: 0 }, // How many of these have been refunded
+
+    // Price snapshot from utils/pricing.js at the time the order was placed
+    productName: { type: String },
+    basePrice: { type: Number }, // Product price before options
+    options: [{ name: String, value: String, price: Number, _id: false }], // Chosen variant values and their price differences
+    listPrice: { type: Number }, // Base price plus options
+    salePercentage: { type: Number, default: 0 },
+    unitPrice: { type: Number }, // Price per unit after the sale
+    discount: { type: Number, default: 0 }, // Discount code amount for the whole line
+    lineTotal: { type: Number }, // unitPrice * quantity - discount
+    taxClass: { type: String },
+    taxRate: { type: Number }, // Percentage, 0 when zero-rated, exempt or not VAT registered
+    netTotal: { type: Number }, // lineTotal without tax
+    taxAmount: { type: Number },
+    grossTotal: { type: Number }, // lineTotal with tax
+})
+
+orderItemSchema.virtual('id').get(function (){return this._id.toHexString();});
+orderItemSchema.set('toJSON', {virtuals: true,});
 exports.OrderItem = mongoose.model('OrderItem', orderItemSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    clientID: { type: String, required: true },
+    provider: {
+        type: String,
+        enum: ['payfast', 'yoco', 'ozow', 'eft', 'fake'],
+        required: true,
+    },
+    mode: { type: String, enum: ['sandbox', 'live'], default: 'live' },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
+        default: 'pending',
+    },
+    amount: { type: Number, required: true },
+    currency: { type: String, default: 'ZAR' },
+    refundedAmount: { type: Number, default: 0 },
+    providerReference: { type: String }, // Checkout/session ID the gateway gave us when the payment was created
+    providerPaymentId: { type: String }, // Gateway transaction ID once the payment went through
+    checkout: { type: mongoose.Schema.Types.Mixed }, // What the storefront needs to send the customer to the gateway
+    paidAt: { type: Date },
+    // Money that came in for an order that was already cancelled, the merchant refunds it or
+    // reinstates the order by hand
+    needsReview: { type: Boolean, default: false },
+    reviewReason: { type: String },
+}, { timestamps: true });
+
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ clientID: 1, needsReview: 1 });
+
+paymentSchema.virtual('id').get(function () { return this._id.toHexString(); });
+paymentSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const paymentNotificationSchema = new mongoose.Schema({
+    provider: { type: String, required: true },
+    clientID: { type: String }, // Resolved from the order, empty if the order could not be found
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    providerPaymentId: { type: String }, // Gateway transaction ID, e.g. pf_payment_id for PayFast
+    paymentStatus: { type: String },
+    amount: { type: Number },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Notification as parsed, for searching
+    rawBody: { type: String }, // Body exactly as posted, what the gateway signed
+    headers: { type: mongoose.Schema.Types.Mixed }, // Request headers, some gateways sign with them
+    sourceIp: { type: String },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'rejected'],
+        default: 'received',
+    },
+    reason: { type: String }, // Why the notification was rejected or ignored
+}, { timestamps: true });
+
+// A provider payment can only ever be applied once, rejected copies are still stored
+paymentNotificationSchema.index(
+    { provider: 1, providerPaymentId: 1 },
+    { unique: true, partialFilterExpression: { status: 'processed' } }
+);
+
+module.exports = mongoose.model('PaymentNotification', paymentNotificationSchema);
@@ -1,33 +1,60 @@
-const mongoose = require('mongoose');
-
-const variantSchema = new mongoose.Schema({
-    name: { type: String, required: true },  // e.g., "Size", "Color", "Material"
-    values: [
-        {
-            value: { type: String, required: true },  // e.g., "Red", "M", "Cotton"
-            price: { type: Number, required: true },  // Price difference for this variant
-            stock: { type: Number, required: true }   // Stock available for this option
-        }
-    ]
-});
-
-const productSchema = new mongoose.Schema({
-    productName: { type: String, required: true, trim: true },
-    description: { type: String, required: true },
-    richDescription: { type: String, default: "" },
-    price: { type: Number, required: true },
-    salePercentage: { type: Number, min: 0, max: 100, default: 0 }, // Sale percentage (0-100)
-    countInStock: { type: Number, required: true, min: 0 },
-    images: [{ type: String }], // Array of image URLs
-    brand: { type: String, default: "" },
-    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
-    rating: { type: Number, default: 0 },
-    numReviews: { type: Number, default: 0 },
-    isFeatured: { type: Boolean, default: false },
-    clientID: { type: String, required: true }, // Assuming client ID is stored as a string
-    variants: [variantSchema] // ✅ Store dynamic variants
-}, { timestamps: true });
-
-productSchema.virtual('id').get(function (){return this._id.toHexString();});
-productSchema.set('toJSON', {virtuals: true,});
-module.exports = mongoose.model('Product', productSchema);
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+    name: { type: String, required: true },  // e.g., "Size", "Color", "Material"
+    values: [
+        {
+            value: { type: String, required: true },  // e.g., "Red", "M", "Cotton"
+            price: { type: Number, required: true },  // Price difference for this variant
+            stock: { type: Number, required: true }   // Stock available for this option
+        }
+    ]
+});
+
+// One sellable combination of variant values, e.g. Red / M, see buildSkus in utils/variants.js
+const skuSchema = new mongoose.Schema({
+    code: { type: String, required: true, trim: true, uppercase: true }, // e.g. TSHIRT-3F9A1C-RED-M
+    barcode: { type: String, trim: true },
+    options: [{ name: String, value: String, _id: false }], // One value of each variant, e.g. Color: Red, Size: M
+    price: { type: Number, required: true, min: 0 }, // Full price of the combination
+    stock: { type: Number, required: true, min: 0, default: 0 },
+    weight: { type: Number, min: 0 }, // kg, the product's weight when not set
+    image: { type: String },
+    active: { type: Boolean, default: true }, // Inactive combinations can't be bought
+});
+
+const productSchema = new mongoose.Schema({
+    productName: { type: String, required: true, trim: true },
+    description: { type: String, required: true },
+    richDescription: { type: String, default: "" },
+    price: { type: Number, required: true },
+    salePercentage: { type: Number, min: 0, max: 100, default: 0 }, // Sale percentage (0-100)
+    countInStock: { type: Number, required: true, min: 0 },
+    weight: { type: Number, min: 0 }, // kg, used for shipping quotes
+    taxClass: { type: String, enum: ['standard', 'zero', 'exempt'], default: 'standard' }, // See utils/tax.js
+    // { url, alt, width, height, variants }, or a bare URL for images not processed yet, see utils/images.js
+    images: [{ type: mongoose.Schema.Types.Mixed }],
+    brand: { type: String, default: "" },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    rating: { type: Number, default: 0 },
+    numReviews: { type: Number, default: 0 },
+    isFeatured: { type: Boolean, default: false },
+    clientID: { type: String, required: true }, // Assuming client ID is stored as a string
+    variants: [variantSchema], // ✅ Store dynamic variants
+    // Products with variants are sold by SKU. Price and stock then come from the SKU, the values'
+    // own price and stock only count for products saved before SKUs, and countInStock is the SKUs' total.
+    skus: [skuSchema]
+}, { timestamps: true });
+
+// Storefront search, see utils/productSearch.js
+productSchema.index(
+    { productName: 'text', description: 'text', brand: 'text' },
+    { weights: { productName: 10, brand: 5, description: 1 }, name: 'product_text_search' }
+);
+productSchema.index({ clientID: 1, category: 1 });
+productSchema.index({ clientID: 1, createdAt: -1 });
+productSchema.index({ clientID: 1, 'skus.code': 1 }, { unique: true, partialFilterExpression: { 'skus.code': { $exists: true } } });
+
+productSchema.virtual('id').get(function (){return this._id.toHexString();});
+productSchema.set('toJSON', {virtuals: true,});
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    clientID: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    reason: { type: String, required: true, trim: true },
+    // Empty for a free-amount refund
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem', required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        amount: { type: Number, required: true },
+    }],
+    restock: { type: Boolean, default: false }, // Whether the refunded items went back into stock
+    status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
+    providerReference: { type: String }, // Refund ID from the payment gateway
+    failureReason: { type: String },
+    createdBy: { type: String }, // clientID of whoever issued the refund
+}, { timestamps: true });
+
+refundSchema.virtual('id').get(function () { return this._id.toHexString(); });
+refundSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
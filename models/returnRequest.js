@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Return lifecycle, see utils/returns.js for the allowed transitions
+// receiving and resolving only last while the goods are booked in or the return is settled
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'receiving', 'received', 'resolving', 'completed'];
+
+// What the customer gets for the goods once they are back
+const RETURN_RESOLUTIONS = ['refund', 'exchange', 'store_credit'];
+
+const returnStatusHistorySchema = new mongoose.Schema({
+    from: { type: String },
+    to: { type: String, enum: RETURN_STATUSES, required: true },
+    changedBy: { type: String }, // clientID or customerID that made the change
+    note: { type: String },
+    changedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    clientID: { type: String, required: true },
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem', required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        reason: { type: String, trim: true }, // Why this item is going back, when it differs from the request's reason
+        receivedQuantity: { type: Number, default: 0 },
+        restocked: { type: Boolean, default: false }, // Went back on sale, damaged goods don't
+        _id: false,
+    }],
+    reason: { type: String, required: true, trim: true },
+    photos: [{ type: String }], // Image URLs uploaded by the customer
+    status: { type: String, enum: RETURN_STATUSES, default: 'requested' },
+    statusHistory: [returnStatusHistorySchema],
+    instructions: { type: String }, // How to send the goods back, given on approval
+    rejectionReason: { type: String },
+    resolution: {
+        type: { type: String, enum: RETURN_RESOLUTIONS },
+        amount: { type: Number }, // Refunded, credited or put towards the exchange
+        refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+        exchangeOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        storeCredit: { type: Number }, // Credited to the customer, including what an exchange didn't use
+        note: { type: String },
+        resolvedAt: { type: Date },
+    },
+}, { timestamps: true });
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ clientID: 1, status: 1, createdAt: -1 });
+
+returnRequestSchema.virtual('id').get(function () { return this._id.toHexString(); });
+returnRequestSchema.set('toJSON', { virtuals: true });
+
+exports.RETURN_STATUSES = RETURN_STATUSES;
+exports.RETURN_RESOLUTIONS = RETURN_RESOLUTIONS;
+exports.ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// New reviews wait for the merchant, see utils/reviews.js
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const reviewSchema = new mongoose.Schema({
+    clientID: { type: String, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, trim: true },
+    body: { type: String, trim: true },
+    photos: [{ type: String }], // Image URLs uploaded by the customer
+    verifiedPurchase: { type: Boolean, default: false }, // The customer has a paid order with this product
+    status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+    moderationNote: { type: String }, // Why it was rejected
+    moderatedAt: { type: Date },
+    helpfulCount: { type: Number, default: 0 },
+    helpfulVotes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }], // One vote per customer
+}, { timestamps: true });
+
+// One review per customer per product, later thoughts go in as an edit
+reviewSchema.index({ product: 1, customer: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ clientID: 1, status: 1, createdAt: -1 });
+
+reviewSchema.virtual('id').get(function () { return this._id.toHexString(); });
+reviewSchema.set('toJSON', {
+    virtuals: true,
+    // Who voted stays private, the count is enough
+    transform: (doc, ret) => {
+        delete ret.helpfulVotes;
+        return ret;
+    },
+});
+
+exports.REVIEW_STATUSES = REVIEW_STATUSES;
+exports.Review = mongoose.model('Review', reviewSchema);
@@ -14,6 +14,11 @@ const serviceSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    taxClass: {
+        type: String,
+        enum: ['standard', 'zero', 'exempt'],
+        default: 'standard',  // See utils/tax.js
+    },
     clientID: {
         type: String,
         required: true,  // Ensures each service is linked to a client
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Order of a parcel's progress, see utils/shipments.js
+const SHIPMENT_STATUSES = ['pending', 'dispatched', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned'];
+
+const trackingEventSchema = new mongoose.Schema({
+    status: { type: String, enum: SHIPMENT_STATUSES, required: true },
+    description: { type: String },
+    location: { type: String },
+    occurredAt: { type: Date, default: Date.now },
+    source: { type: String, enum: ['manual', 'webhook'], default: 'manual' },
+    externalId: { type: String }, // Courier's event ID, used to ignore repeated webhooks
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    clientID: { type: String, required: true },
+    carrier: { type: String, required: true, trim: true }, // e.g. "courierguy", "pargo", "local"
+    waybill: { type: String, trim: true },
+    trackingUrl: { type: String },
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId, ref: 'OrderItem', required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        _id: false,
+    }],
+    status: { type: String, enum: SHIPMENT_STATUSES, default: 'pending' },
+    events: [trackingEventSchema],
+    dispatchedAt: { type: Date },
+    deliveredAt: { type: Date },
+}, { timestamps: true });
+
+shipmentSchema.index({ order: 1 });
+shipmentSchema.index({ carrier: 1, waybill: 1 });
+
+shipmentSchema.virtual('id').get(function () { return this._id.toHexString(); });
+shipmentSchema.set('toJSON', { virtuals: true });
+
+exports.SHIPMENT_STATUSES = SHIPMENT_STATUSES;
+exports.Shipment = mongoose.model('Shipment', shipmentSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Postal codes are matched exactly ("8001"), by range ("7000-7999") or by prefix ("80*")
+const zoneSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    postalCodes: [{ type: String, trim: true }],
+}, { _id: false });
+
+// One price band. Leave a bound out to leave that side open, leave zone out for every zone.
+const rateSchema = new mongoose.Schema({
+    zone: { type: String, trim: true },
+    minWeight: { type: Number, min: 0 }, // kg, inclusive
+    maxWeight: { type: Number, min: 0 }, // kg, exclusive
+    minSubtotal: { type: Number, min: 0 }, // inclusive
+    maxSubtotal: { type: Number, min: 0 }, // exclusive
+    price: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+const methodSchema = new mongoose.Schema({
+    code: { type: String, required: true, trim: true }, // Stored on the order as deliveryType
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['delivery', 'collection'], default: 'delivery' },
+    enabled: { type: Boolean, default: true },
+    rates: [rateSchema],
+    freeShippingThreshold: { type: Number, min: 0 }, // Order subtotal from which this method is free
+    estimatedDays: { type: String }, // e.g. "2-4 working days"
+}, { _id: false });
+
+const collectionPointSchema = new mongoose.Schema({
+    code: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    address: { type: String },
+    postalCode: { type: String },
+    instructions: { type: String },
+    enabled: { type: Boolean, default: true },
+}, { _id: false });
+
+const shippingConfigSchema = new mongoose.Schema({
+    clientID: { type: String, required: true, unique: true },
+    zones: [zoneSchema],
+    methods: [methodSchema],
+    collectionPoints: [collectionPointSchema],
+    defaultWeight: { type: Number, min: 0, default: 0 }, // kg, for products without a weight
+}, { timestamps: true });
+
+shippingConfigSchema.virtual('id').get(function () { return this._id.toHexString(); });
+shippingConfigSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ShippingConfig', shippingConfigSchema);
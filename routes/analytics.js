@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { createObjectCsvStringifier } = require('csv-writer');
+const {
+    AnalyticsError,
+    parseRange,
+    salesOverTime,
+    topProducts,
+    topCategories,
+    discountUsage,
+    deliveryMix,
+    customerSplit,
+} = require('../utils/analytics');
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Reports are for the merchant, never for customer tokens
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof AnalyticsError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+// Rows as JSON, or as a CSV download with ?format=csv
+const sendReport = (req, res, name, columns, rows, extra = {}) => {
+    if (req.query.format !== 'csv') {
+        return res.json({ ...extra, rows });
+    }
+
+    const csvStringifier = createObjectCsvStringifier({
+        header: columns.map(id => ({ id, title: id })),
+    });
+    const records = rows.map(row => {
+        const record = {};
+        columns.forEach(column => {
+            const value = row[column];
+            record[column] = value instanceof Date ? value.toISOString() : value;
+        });
+        return record;
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+    res.send(csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(records));
+};
+
+// Every report takes ?from=&to=&timezone= and ?format=csv
+
+// Revenue, order count and average order value per ?interval=day|week|month
+router.get('/sales', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const range = parseRange(req.query);
+        const { series, totals } = await salesOverTime(req.clientId, range);
+        sendReport(req, res, `sales-by-${range.interval}`,
+            ['period', 'orders', 'revenue', 'averageOrderValue', 'tax', 'discounts', 'delivery'],
+            series, { from: range.from, to: range.to, timezone: range.timezone, interval: range.interval, totals });
+    } catch (error) {
+        handleError(res, error, 'Error fetching sales analytics');
+    }
+});
+
+// Top products, ?by=revenue|units&limit=
+router.get('/products', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const range = parseRange(req.query);
+        const rows = await topProducts(req.clientId, range, req.query.by);
+        sendReport(req, res, 'top-products', ['product', 'productName', 'units', 'revenue', 'orders'], rows);
+    } catch (error) {
+        handleError(res, error, 'Error fetching product analytics');
+    }
+});
+
+// Top categories, ?by=revenue|units&limit=
+router.get('/categories', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const range = parseRange(req.query);
+        const rows = await topCategories(req.clientId, range, req.query.by);
+        sendReport(req, res, 'top-categories', ['category', 'categoryName', 'units', 'revenue', 'products'], rows);
+    } catch (error) {
+        handleError(res, error, 'Error fetching category analytics');
+    }
+});
+
+// Discount code usage and revenue
+router.get('/discounts', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const rows = await discountUsage(req.clientId, parseRange(req.query));
+        sendReport(req, res, 'discount-codes', ['discountCode', 'code', 'orders', 'discountGiven', 'revenue'], rows);
+    } catch (error) {
+        handleError(res, error, 'Error fetching discount analytics');
+    }
+});
+
+// Orders per delivery method
+router.get('/delivery', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const rows = await deliveryMix(req.clientId, parseRange(req.query));
+        sendReport(req, res, 'delivery-mix', ['deliveryType', 'orders', 'share', 'revenue', 'deliveryCharged'], rows);
+    } catch (error) {
+        handleError(res, error, 'Error fetching delivery analytics');
+    }
+});
+
+// New, returning and guest customers
+router.get('/customers', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const rows = await customerSplit(req.clientId, parseRange(req.query));
+        sendReport(req, res, 'customers', ['segment', 'customers', 'orders', 'revenue'], rows);
+    } catch (error) {
+        handleError(res, error, 'Error fetching customer analytics');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const { Cart } = require('../models/cart');
+const {
+    CartError,
+    createCart,
+    repriceCart,
+    addItem,
+    updateItem,
+    removeItem,
+    applyDiscount,
+    removeDiscount,
+    checkoutCart,
+    findCartByRestoreToken,
+} = require('../utils/cart');
+const { PricingError } = require('../utils/pricing');
+const { InsufficientStockError } = require('../utils/inventory');
+const { ShippingError } = require('../utils/shipping');
+const { OrderError } = require('../utils/orders');
+
+// Middleware to authenticate a site or customer token.
+// Customer tokens tie the cart to the customer, anonymous carts are found by X-Cart-Token.
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID;
+        req.customerId = user.customerID;
+        next();
+    });
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof CartError || error instanceof PricingError || error instanceof InsufficientStockError
+        || error instanceof ShippingError || error instanceof OrderError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({ errors: errors.array() });
+        return false;
+    }
+    return true;
+};
+
+// The active cart for the request: the one in X-Cart-Token, else the logged in customer's.
+// An anonymous cart is taken over by the customer who logs in with it.
+const findCurrentCart = async (req) => {
+    const cartToken = req.headers['x-cart-token'];
+    if (cartToken) {
+        const cart = await Cart.findOne({ token: String(cartToken), clientID: req.clientId, status: 'active' });
+        if (cart && req.customerId && !cart.customer) {
+            cart.customer = req.customerId;
+            await cart.save();
+        }
+        if (cart && (!req.customerId || String(cart.customer) === String(req.customerId))) {
+            return cart;
+        }
+    }
+    if (req.customerId) {
+        return Cart.findOne({ clientID: req.clientId, customer: req.customerId, status: 'active' }).sort({ updatedAt: -1 });
+    }
+    return null;
+};
+
+const loadCart = async (req, res, next) => {
+    try {
+        const cart = await findCurrentCart(req);
+        if (!cart) {
+            return res.status(404).json({ error: 'Cart not found' });
+        }
+        req.cart = cart;
+        next();
+    } catch (error) {
+        handleError(res, error, 'Error loading cart');
+    }
+};
+
+// The cart plus a note when its discount code stopped applying
+const sendCart = (res, { cart, discountError }, status = 200) => {
+    res.status(status).json(discountError ? { ...cart.toJSON(), discountError } : cart);
+};
+
+const itemValidators = [
+    body('product').isMongoId().withMessage('Invalid product ID'),
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('sku').optional().isString().withMessage('SKU must be an ID or code'),
+];
+
+// Start a cart, or return the customer's active one. The token in the response is
+// what anonymous shoppers send back in X-Cart-Token.
+router.post('/', authenticateToken, [
+    body('email').optional().isEmail().withMessage('Invalid email address'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const existing = await findCurrentCart(req);
+        if (existing) {
+            return res.json(existing);
+        }
+
+        const cart = await createCart({
+            clientID: req.clientId,
+            customer: req.customerId,
+            email: req.body.email,
+            items: req.body.items,
+        });
+        res.status(201).json(cart);
+    } catch (error) {
+        handleError(res, error, 'Error creating cart');
+    }
+});
+
+// Reopen a cart from the link in a recovery email
+router.get('/restore', authenticateToken, async (req, res) => {
+    try {
+        if (!req.query.token) {
+            return res.status(400).json({ error: 'Restore token is required' });
+        }
+
+        const cart = await findCartByRestoreToken(req.query.token);
+        if (cart.clientID !== req.clientId) {
+            return res.status(404).json({ error: 'Cart not found' });
+        }
+        const discountError = await repriceCart(cart);
+        await cart.save();
+        sendCart(res, { cart, discountError });
+    } catch (error) {
+        handleError(res, error, 'Error restoring cart');
+    }
+});
+
+// The current cart, priced again
+router.get('/', authenticateToken, loadCart, async (req, res) => {
+    try {
+        const discountError = await repriceCart(req.cart);
+        await req.cart.save();
+        sendCart(res, { cart: req.cart, discountError });
+    } catch (error) {
+        handleError(res, error, 'Error fetching cart');
+    }
+});
+
+// Email address for reminders on an anonymous cart
+router.put('/contact', authenticateToken, loadCart, [
+    body('email').isEmail().withMessage('Invalid email address'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        req.cart.email = req.body.email;
+        await req.cart.save();
+        res.json(req.cart);
+    } catch (error) {
+        handleError(res, error, 'Error updating cart contact');
+    }
+});
+
+// Add a product, or more of one already in the cart
+router.post('/items', authenticateToken, loadCart, itemValidators, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const { product, quantity, sku, size, color, material, style, title } = req.body;
+        sendCart(res, await addItem(req.cart, { product, quantity, sku, size, color, material, style, title }), 201);
+    } catch (error) {
+        handleError(res, error, 'Error adding cart item');
+    }
+});
+
+// Change a line's quantity, 0 removes it
+router.put('/items/:itemId', authenticateToken, loadCart, [
+    body('quantity').isInt({ min: 0 }).withMessage('Quantity must be 0 or more'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        sendCart(res, await updateItem(req.cart, req.params.itemId, req.body.quantity));
+    } catch (error) {
+        handleError(res, error, 'Error updating cart item');
+    }
+});
+
+router.delete('/items/:itemId', authenticateToken, loadCart, async (req, res) => {
+    try {
+        sendCart(res, await removeItem(req.cart, req.params.itemId));
+    } catch (error) {
+        handleError(res, error, 'Error removing cart item');
+    }
+});
+
+router.post('/discount', authenticateToken, loadCart, [
+    body('code').notEmpty().withMessage('Discount code is required'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        sendCart(res, await applyDiscount(req.cart, req.body.code));
+    } catch (error) {
+        handleError(res, error, 'Error applying discount code');
+    }
+});
+
+router.delete('/discount', authenticateToken, loadCart, async (req, res) => {
+    try {
+        sendCart(res, await removeDiscount(req.cart));
+    } catch (error) {
+        handleError(res, error, 'Error removing discount code');
+    }
+});
+
+// Place the order for the cart. Shoppers who aren't logged in give their contact details.
+router.post('/checkout', authenticateToken, loadCart, [
+    body('contact.email').optional().isEmail().withMessage('Invalid contact email'),
+    body('address').notEmpty().withMessage('Address is required'),
+    body('postalCode').notEmpty().withMessage('Postal code is required'),
+    body('phone').notEmpty().withMessage('Phone number is required'),
+    body('deliveryType').notEmpty().withMessage('Delivery method is required'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const { address, postalCode, phone, deliveryType, collectionPoint, contact, useStoreCredit } = req.body;
+        const { order } = await checkoutCart(req.cart, {
+            deliveryType,
+            collectionPoint,
+            address,
+            postalCode,
+            phone,
+            contact,
+            useStoreCredit: useStoreCredit === true && Boolean(req.customerId), // Customer tokens only
+            changedBy: req.customerId || req.clientId,
+        });
+        res.status(201).json(order);
+    } catch (error) {
+        handleError(res, error, 'Error checking out cart');
+    }
+});
+
+module.exports = router;
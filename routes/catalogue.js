@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { ImportJob } = require('../models/importJob');
+const { CatalogueError, readCatalogueFile, planImport, exportCatalogue, toCsv, toXlsx } = require('../utils/catalogue');
+const { processImportJobs } = require('../jobs/catalogueImports');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 } // Limit file size to 10MB
+});
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// The catalogue is the merchant's, never for customer tokens
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof CatalogueError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+// Import products from a CSV or XLSX file in the export's format.
+// Every row is checked first: ?dryRun=true only reports what would happen, and a file with
+// any errors is turned down whole. Otherwise the import is queued and runs in the background,
+// follow it on GET /import/:id.
+router.post('/import', authenticateToken, requireMerchant, upload.single('file'), async (req, res) => {
+    try {
+        const rows = await readCatalogueFile(req.file);
+        const createCategories = req.query.createCategories === 'true' || req.body.createCategories === 'true';
+        const plan = await planImport(req.clientId, rows, { createCategories });
+        const report = { summary: plan.summary, errors: plan.errors };
+
+        if (req.query.dryRun === 'true') {
+            return res.json({ dryRun: true, valid: plan.errors.length === 0, ...report });
+        }
+        if (plan.errors.length > 0) {
+            return res.status(400).json({ error: 'The file has errors, nothing was imported', ...report });
+        }
+
+        const job = await ImportJob.create({
+            clientID: req.clientId,
+            fileName: req.file.originalname,
+            createdBy: req.clientId,
+            createCategories,
+            products: plan.products,
+            total: plan.products.length,
+        });
+
+        res.status(202).json({ job, summary: plan.summary });
+
+        processImportJobs().catch(error => console.error('Error processing catalogue imports:', error));
+    } catch (error) {
+        handleError(res, error, 'Error importing catalogue');
+    }
+});
+
+// Imports, newest first
+router.get('/import', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const jobs = await ImportJob.find({ clientID: req.clientId })
+            .select('-products -rowErrors')
+            .sort({ createdAt: -1 })
+            .limit(50);
+        res.json(jobs);
+    } catch (error) {
+        handleError(res, error, 'Error fetching imports');
+    }
+});
+
+// Progress of one import and the rows that failed
+router.get('/import/:id', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid import ID' });
+        }
+
+        const job = await ImportJob.findOne({ _id: req.params.id, clientID: req.clientId }).select('-products');
+        if (!job) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        res.json(job);
+    } catch (error) {
+        handleError(res, error, 'Error fetching import');
+    }
+});
+
+// The whole catalogue as ?format=csv (default) or xlsx, ready to edit and import again
+router.get('/export', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or xlsx' });
+        }
+
+        const rows = await exportCatalogue(req.clientId);
+        const fileName = `catalogue-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(await toXlsx(rows));
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(toCsv(rows));
+    } catch (error) {
+        handleError(res, error, 'Error exporting catalogue');
+    }
+});
+
+module.exports = router;
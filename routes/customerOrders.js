@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Order } = require('../models/order');
+const { Shipment } = require('../models/shipment');
+const Invoice = require('../models/invoice');
+const { ReturnRequest } = require('../models/returnRequest');
+const { searchOrders, OrderQueryError } = require('../utils/orderSearch');
+const { toTracking } = require('../utils/shipments');
+const { transitionOrder, OrderStatusError } = require('../utils/orderStatus');
+const { issueInvoice, renderPdf } = require('../utils/invoices');
+const { requestReturn, ReturnError } = require('../utils/returns');
+const { imageUrl } = require('../utils/images');
+
+// Middleware to authenticate a customer token from POST /customer/login.
+// The customer always comes from the token, never from the URL.
+const authenticateCustomer = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        if (!user.customerID) {
+            return res.status(403).json({ error: 'Forbidden - Customer token required' });
+        }
+        req.clientId = user.clientID;
+        req.customerId = user.customerID;
+        next();
+    });
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof OrderQueryError || error instanceof OrderStatusError || error instanceof ReturnError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+// One of the customer's own orders, or null
+const findCustomerOrder = async (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return null;
+    }
+    return Order.findOne({ _id: req.params.id, clientID: req.clientId, customer: req.customerId });
+};
+
+const notFound = (res) => res.status(404).json({ error: 'Order not found' });
+
+// Orders as the customer sees them: items with their options, parcels and invoice numbers
+const toCustomerOrders = async (orders) => {
+    const ids = orders.map(order => order._id);
+    const [shipments, invoices, returns] = await Promise.all([
+        Shipment.find({ order: { $in: ids } }).sort({ createdAt: 1 }),
+        Invoice.find({ order: { $in: ids } }).sort({ issuedAt: 1 }).select('type number issuedAt total order refund'),
+        ReturnRequest.find({ order: { $in: ids } }).sort({ createdAt: 1 }),
+    ]);
+    await Order.populate(orders, { path: 'orderItems.product', select: 'productName images' });
+
+    const forOrder = (list, order) => list.filter(entry => String(entry.order) === String(order._id));
+    return orders.map(order => {
+        const documents = forOrder(invoices, order);
+        const invoice = documents.find(document => document.type === 'invoice');
+        return {
+            id: order._id,
+            orderNumber: order.orderNumber,
+            dateOrdered: order.dateOrdered,
+            status: order.status,
+            statusHistory: order.statusHistory.map(({ to, changedAt }) => ({ status: to, changedAt })),
+            paid: order.paid,
+            items: order.orderItems.map(item => ({
+                id: item._id,
+                product: item.product ? item.product._id : null,
+                productName: item.productName || (item.product && item.product.productName),
+                sku: item.skuCode,
+                image: item.product && item.product.images ? imageUrl(item.product.images[0], 'thumbnail') : undefined,
+                options: item.options,
+                quantity: item.quantity,
+                refundedQuantity: item.refundedQuantity,
+                unitPrice: item.unitPrice,
+                lineTotal: item.grossTotal !== undefined ? item.grossTotal : item.lineTotal,
+            })),
+            subtotal: order.totalPrice,
+            discountAmount: order.discountAmount,
+            deliveryType: order.deliveryType,
+            deliveryPrice: order.deliveryPrice,
+            collectionPoint: order.collectionPoint,
+            tax: order.tax ? order.tax.tax : 0,
+            finalPrice: order.finalPrice,
+            refundedAmount: order.refundedAmount,
+            address: order.address,
+            postalCode: order.postalCode,
+            phone: order.phone,
+            shipments: forOrder(shipments, order).map(toTracking),
+            invoice: invoice ? { number: invoice.number, issuedAt: invoice.issuedAt, total: invoice.total } : null,
+            creditNotes: documents
+                .filter(document => document.type === 'credit_note')
+                .map(document => ({ number: document.number, issuedAt: document.issuedAt, total: document.total, refund: document.refund })),
+            returns: forOrder(returns, order).map(request => ({
+                id: request._id,
+                status: request.status,
+                items: request.items,
+                reason: request.reason,
+                instructions: request.instructions,
+                rejectionReason: request.rejectionReason,
+                resolution: request.resolution,
+                createdAt: request.createdAt,
+            })),
+        };
+    });
+};
+
+// The customer's orders, newest first. Query: status, from, to, sort, order, limit, cursor
+router.get('/', authenticateCustomer, async (req, res) => {
+    try {
+        const { status, from, to, sort, order, limit, cursor } = req.query;
+        const result = await searchOrders(req.clientId, { status, from, to, sort, order, limit, cursor, customer: req.customerId });
+        res.json({ ...result, orders: await toCustomerOrders(result.orders) });
+    } catch (error) {
+        handleError(res, error, 'Error fetching customer orders');
+    }
+});
+
+// One of the customer's orders
+router.get('/:id', authenticateCustomer, async (req, res) => {
+    try {
+        const order = await findCustomerOrder(req);
+        if (!order) {
+            return notFound(res);
+        }
+
+        await order.populate('orderItems');
+        const [view] = await toCustomerOrders([order]);
+        res.json(view);
+    } catch (error) {
+        handleError(res, error, 'Error fetching customer order');
+    }
+});
+
+// Download the invoice of a paid order
+router.get('/:id/invoice', authenticateCustomer, async (req, res) => {
+    try {
+        const order = await findCustomerOrder(req);
+        if (!order) {
+            return notFound(res);
+        }
+        if (!order.paid) {
+            return res.status(409).json({ error: 'Invoices are issued once the order is paid' });
+        }
+
+        const invoice = await issueInvoice(order);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+        });
+        res.send(await renderPdf(invoice));
+    } catch (error) {
+        handleError(res, error, 'Error generating customer invoice');
+    }
+});
+
+// Cancel an order that hasn't been paid yet. Its stock goes back on sale straight away.
+router.post('/:id/cancel', authenticateCustomer, async (req, res) => {
+    try {
+        const order = await findCustomerOrder(req);
+        if (!order) {
+            return notFound(res);
+        }
+        if (order.status !== 'Pending') {
+            return res.status(409).json({ error: 'Only orders that are still Pending can be cancelled' });
+        }
+
+        await transitionOrder(order, 'Cancelled', { changedBy: req.customerId, note: req.body.reason || 'Cancelled by customer' });
+        await order.populate('orderItems');
+        const [view] = await toCustomerOrders([order]);
+        res.json(view);
+    } catch (error) {
+        handleError(res, error, 'Error cancelling customer order');
+    }
+});
+
+// Ask to send items back, with photos of the goods uploaded beforehand
+router.post('/:id/returns', authenticateCustomer, [
+    body('reason').notEmpty().withMessage('Reason is required'),
+    body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.orderItem').isMongoId().withMessage('Invalid order item ID'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.reason').optional().isString(),
+    body('photos').optional().isArray({ max: 10 }).withMessage('Photos must be an array of up to 10 URLs'),
+    body('photos.*').isURL().withMessage('Photos must be URLs'),
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const order = await findCustomerOrder(req);
+        if (!order) {
+            return notFound(res);
+        }
+
+        await order.populate('orderItems');
+        const request = await requestReturn({
+            order,
+            customer: req.customerId,
+            items: req.body.items,
+            reason: req.body.reason,
+            photos: req.body.photos,
+        });
+        res.status(201).json(request);
+    } catch (error) {
+        handleError(res, error, 'Error requesting return');
+    }
+});
+
+// The customer's return requests for an order
+router.get('/:id/returns', authenticateCustomer, async (req, res) => {
+    try {
+        const order = await findCustomerOrder(req);
+        if (!order) {
+            return notFound(res);
+        }
+
+        const requests = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+        res.json(requests);
+    } catch (error) {
+        handleError(res, error, 'Error fetching return requests');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const { body, validationResult } = require('express-validator');
+const { InventoryMovement, MOVEMENT_REASONS } = require('../models/inventoryMovement');
+const { InventoryError, adjustStock, applyStocktake, auditStock } = require('../utils/inventory');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 } // Limit file size to 2MB
+});
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Stock and its ledger are the merchant's, never for customer tokens
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof InventoryError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+// Stocktake sheets have the columns product, sku, variant, value and quantity.
+// Fill in sku for products with SKUs, variant and value for older ones, and leave them all
+// empty for the product's own count.
+const parseStocktakeCsv = (buffer) => parse(buffer, {
+    columns: header => header.map(column => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+}).map(row => ({
+    product: row.product || row.productid,
+    sku: row.sku || undefined,
+    variant: row.variant || undefined,
+    value: row.value || undefined,
+    quantity: row.quantity === '' ? NaN : Number(row.quantity),
+}));
+
+// Manually correct one stock figure
+router.post(
+    '/adjustments',
+    authenticateToken,
+    requireMerchant,
+    [
+        body('product').isMongoId().withMessage('Invalid product ID'),
+        body('delta').isInt().withMessage('Delta must be a whole number'),
+        body('sku').optional().isString().withMessage('SKU must be an ID or code'),
+        body('reason').optional().isIn(['adjustment', 'return']).withMessage('Reason must be adjustment or return'),
+        body('note').optional().isString(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { product, sku, valueId, variant, value, delta, reason, note } = req.body;
+            const movement = await adjustStock({
+                clientID: req.clientId,
+                product,
+                sku,
+                valueId,
+                variant,
+                value,
+                delta,
+                reason,
+                note,
+                user: req.clientId,
+            });
+            res.status(201).json(movement);
+        } catch (error) {
+            handleError(res, error, 'Error adjusting stock');
+        }
+    }
+);
+
+// Set stock to counted figures, from a CSV upload or a JSON list of lines
+router.post('/stocktake', authenticateToken, requireMerchant, upload.single('file'), async (req, res) => {
+    try {
+        let rows = req.body.rows;
+        if (req.file) {
+            try {
+                rows = parseStocktakeCsv(req.file.buffer);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid stocktake file', details: error.message });
+            }
+        }
+
+        const results = await applyStocktake({ clientID: req.clientId, rows, user: req.clientId, note: req.body.note });
+        res.json({
+            lines: results.length,
+            changed: results.filter(result => result.delta !== 0).length,
+            results,
+        });
+    } catch (error) {
+        handleError(res, error, 'Error applying stocktake');
+    }
+});
+
+// Stock movements, newest first
+router.get('/movements', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const { product, order, reason, from, to } = req.query;
+        const filter = { clientID: req.clientId };
+
+        if (product) {
+            if (!mongoose.isValidObjectId(product)) {
+                return res.status(400).json({ error: 'Invalid product ID' });
+            }
+            filter.product = product;
+        }
+        if (order) {
+            if (!mongoose.isValidObjectId(order)) {
+                return res.status(400).json({ error: 'Invalid order ID' });
+            }
+            filter.order = order;
+        }
+        if (reason) {
+            if (!MOVEMENT_REASONS.includes(reason)) {
+                return res.status(400).json({ error: `Reason must be one of ${MOVEMENT_REASONS.join(', ')}` });
+            }
+            filter.reason = reason;
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const movements = await InventoryMovement.find(filter)
+            .populate('product', 'productName')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json(movements);
+    } catch (error) {
+        handleError(res, error, 'Error fetching stock movements');
+    }
+});
+
+// Replay a product's ledger and compare it with its current stock
+router.get('/audit/:productId', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const audit = await auditStock(req.clientId, req.params.productId);
+        res.json(audit);
+    } catch (error) {
+        handleError(res, error, 'Error auditing stock');
+    }
+});
+
+module.exports = router;
@@ -1,416 +1,473 @@
-const { Order } = require('../models/order');
-const express = require('express');
-const { OrderItem } = require('../models/orderItem');
-const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { Customer } = require('../models/customer');
-const DiscountCode = require('../models/discountCode');
-
-const { Product } = require('../models/product');
-const { Size } = require('../models/size');
-const { sendOrderConfirmationEmail, orderItemProcessed } = require('../utils/email');
-const Client = require('../models/client');
-const { body, validationResult } = require('express-validator');
-
-// Middleware to authenticate JWT token and extract clientId
-const authenticateToken = (req, res, next) => {
-    const token = req.headers.authorization;
-
-    if (!token || !token.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
-    }
-
-    const tokenValue = token.split(' ')[1];
-
-    jwt.verify(tokenValue, process.env.secret, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Forbidden - Invalid token' });
-        }
-        req.clientId = user.clientID; // Attach clientId to the request object
-        next();
-    });
-};
-
-// Get all orders for the authenticated client
-router.get('/', authenticateToken, async (req, res) => {
-    try {
-        const orderList = await Order.find({ client: req.clientId })
-            .populate('customer', 'customerFirstName emailAddress phoneNumber')
-            .populate('orderItems')
-            .sort({ dateOrdered: -1 });
-
-        if (!orderList) {
-            return res.status(500).json({ success: false, error: 'Failed to fetch orders' });
-        }
-
-        res.send(orderList);
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Delete an order by ID
-router.delete('/:id', authenticateToken, async (req, res) => {
-    try {
-        const deletedOrder = await Order.findOneAndDelete({ _id: req.params.id, client: req.clientId });
-        if (!deletedOrder) {
-            return res.status(404).json({ success: false, error: 'Order not found or does not belong to client' });
-        }
-        res.json({ success: true, message: 'Order deleted successfully' });
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Create a new order
-// Create a new order
-router.post(
-    '/',
-    authenticateToken,
-    [
-        body('orderItems').isArray().withMessage('Order items must be an array'),
-        body('address').notEmpty().withMessage('Address is required'),
-        body('postalCode').notEmpty().withMessage('Postal code is required'),
-        body('phone').notEmpty().withMessage('Phone number is required'),
-        body('customer').notEmpty().withMessage('Customer ID is required'),
-    ],
-    async (req, res) => {
-        try {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                return res.status(400).json({ errors: errors.array() });
-            }
-
-            const { orderItems, address, postalCode, phone, customer, deliveryType, deliveryPrice, discountCode } = req.body;
-
-            // Validate discount code
-            let discountAmount = 0;
-            if (discountCode) {
-                const code = await DiscountCode.findOne({ code: discountCode, clientID: req.clientId });
-
-                if (!code) {
-                    return res.status(400).json({ error: 'Invalid discount code' });
-                }
-
-                // Loop through cart products and check eligibility
-                for (const productId of orderItems) {
-                    const product = await Product.findById(productId);
-                    if (product && discount.appliesTo.some(id => id.toString() === product._id.toString())) {
-                        eligibleProducts.push(product);
-                        discountAmount += (product.price * discount.discount) / 100;
-                    }
-                }
-
-                // Increase the usage count
-                code.usageCount += 1;
-                await code.save();
-
-                discountAmount = code.discountAmount || 0;
-            }
-
-            // Create OrderItem documents and save them
-            const orderItemsIds = await Promise.all(orderItems.map(async (orderItem) => {
-                const newOrderItem = new OrderItem({
-                    quantity: orderItem.quantity,
-                    product: orderItem.product,
-                    size: orderItem.size,
-                    color: orderItem.color,
-                    material: orderItem.material,
-                    style: orderItem.style,
-                    title: orderItem.title,
-                });
-                await newOrderItem.save();
-                return newOrderItem._id;
-            }));
-
-            // Calculate total prices
-            const totalPrices = await Promise.all(orderItemsIds.map(async (orderItemId) => {
-                const orderItem = await OrderItem.findById(orderItemId).populate('product', 'price');
-                return orderItem.product.price * orderItem.quantity;
-            }));
-            let totalPrice = totalPrices.reduce((a, b) => a + b, 0);
-
-            // Apply discount
-            totalPrice = Math.max(0, totalPrice - discountAmount) + deliveryPrice;
-
-            // Create and save the new Order
-            const order = new Order({
-                orderItems: orderItemsIds,
-                address,
-                postalCode,
-                phone,
-                status: 'Pending',
-                totalPrice,
-                customer,
-                deliveryPrice,
-                deliveryType,
-                client: req.clientId,
-            });
-
-            await order.save();
-
-            // Deduct stock count for each product and variant
-            for (const orderItem of orderItems) {
-                const product = await Product.findById(orderItem.product);
-                if (!product) {
-                    console.error(`Product not found: ${orderItem.product}`);
-                    continue;
-                }
-
-                // Deduct countInStock for the product
-                product.countInStock -= orderItem.quantity;
-
-                // Deduct quantity for variants (size, color, etc.)
-                if (orderItem.size) {
-                    const sizeVariant = product.sizes.id(orderItem.size);
-                    if (sizeVariant) {
-                        sizeVariant.quantity -= orderItem.quantity;
-                    }
-                }
-                if (orderItem.color) {
-                    const colorVariant = product.colors.id(orderItem.color);
-                    if (colorVariant) {
-                        colorVariant.quantity -= orderItem.quantity;
-                    }
-                }
-                if (orderItem.material) {
-                    const materialVariant = product.materials.id(orderItem.material);
-                    if (materialVariant) {
-                        materialVariant.quantity -= orderItem.quantity;
-                    }
-                }
-                if (orderItem.style) {
-                    const styleVariant = product.styles.id(orderItem.style);
-                    if (styleVariant) {
-                        styleVariant.quantity -= orderItem.quantity;
-                    }
-                }
-                if (orderItem.title) {
-                    const titleVariant = product.titles.id(orderItem.title);
-                    if (titleVariant) {
-                        titleVariant.quantity -= orderItem.quantity;
-                    }
-                }
-
-                await product.save();
-            }
-
-            // Send order confirmation email
-            const client = await Client.findOne({ clientID: req.clientId });
-            if (client) {
-                await sendOrderConfirmationEmail(
-                    order.customer.emailAddress,
-                    order.orderItems,
-                    client.businessEmail,
-                    client.businessEmailPassword,
-                    order.deliveryPrice
-                );
-            }
-
-            res.status(201).json(order);
-        } catch (error) {
-            console.error('Error creating order:', error);
-            res.status(500).json({ error: 'Internal Server Error' });
-        }
-    }
-);
-
-
-// Update an order by ID
-router.put('/:id', authenticateToken, async (req, res) => {
-    try {
-        const { status, orderTrackingLink, orderTrackingCode } = req.body;
-
-        const order = await Order.findOneAndUpdate(
-            { _id: req.params.id, client: req.clientId },
-            {
-                status,
-                orderLink: orderTrackingLink,
-                orderCode: orderTrackingCode,
-            },
-            { new: true }
-        ).populate('customer')
-         .populate('orderItems');
-
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found or does not belong to client' });
-        }
-
-        // Send email notification if status is updated to "Processed"
-        if (status === 'Processed') {
-            const client = await Client.findOne({ clientID: req.clientId });
-            if (client) {
-                await orderItemProcessed(
-                    order.customer.emailAddress,
-                    client.businessEmail,
-                    client.businessEmailPassword
-                );
-            }
-        }
-
-        res.json(order);
-    } catch (error) {
-        console.error('Error updating order:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Get an order by ID
-router.get('/:id', authenticateToken, async (req, res) => {
-    try {
-        const order = await Order.findOne({ _id: req.params.id, client: req.clientId })
-            .populate('customer', 'customerFirstName emailAddress phoneNumber')
-            .populate({
-                path: 'orderItems',
-                populate: { path: 'product', populate: 'category' },
-            });
-
-        if (!order) {
-            return res.status(404).json({ success: false, error: 'Order not found' });
-        }
-
-        res.json(order);
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Update order payment status
-router.post('/update-order-payment', async (req, res) => {
-    try {
-        const { item_name, payment_status, totalPrice } = req.body;
-
-        if (!item_name || payment_status !== 'COMPLETE') {
-            return res.status(400).json({ error: 'Invalid payment details' });
-        }
-
-        const orderId = item_name.split('#')[1]; // Extract order ID from item_name
-        const order = await Order.findOne({ _id: orderId }).populate('orderItems').populate('customer');
-
-        if (!order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
-
-        order.paid = true;
-        order.totalPrice = totalPrice;
-        await order.save();
-
-        // Deduct stock count for each product and variant
-        for (const orderItem of order.orderItems) {
-            const product = await Product.findById(orderItem.product);
-            if (!product) {
-                console.error(`Product not found: ${orderItem.product}`);
-                continue;
-            }
-
-            // Deduct countInStock for the product
-            product.countInStock -= orderItem.quantity;
-
-            // Deduct quantity for variants (size, color, etc.)
-            if (orderItem.size) {
-                const sizeVariant = product.sizes.id(orderItem.size);
-                if (sizeVariant) {
-                    sizeVariant.quantity -= orderItem.quantity;
-                }
-            }
-            if (orderItem.color) {
-                const colorVariant = product.colors.id(orderItem.color);
-                if (colorVariant) {
-                    colorVariant.quantity -= orderItem.quantity;
-                }
-            }
-            if (orderItem.material) {
-                const materialVariant = product.materials.id(orderItem.material);
-                if (materialVariant) {
-                    materialVariant.quantity -= orderItem.quantity;
-                }
-            }
-            if (orderItem.style) {
-                const styleVariant = product.styles.id(orderItem.style);
-                if (styleVariant) {
-                    styleVariant.quantity -= orderItem.quantity;
-                }
-            }
-            if (orderItem.title) {
-                const titleVariant = product.titles.id(orderItem.title);
-                if (titleVariant) {
-                    titleVariant.quantity -= orderItem.quantity;
-                }
-            }
-
-            await product.save();
-        }
-
-        // Send order confirmation email
-        const client = await Client.findOne({ clientID: order.client });
-        if (client) {
-            await sendOrderConfirmationEmail(
-                order.customer.emailAddress,
-                order.orderItems,
-                client.businessEmail,
-                client.businessEmailPassword,
-                order.deliveryPrice
-            );
-        }
-
-        res.json({ success: true, order });
-    } catch (error) {
-        console.error('Error updating order payment status:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Get total sales for the authenticated client
-router.get('/get/totalsales', authenticateToken, async (req, res) => {
-    try {
-        const totalSales = await Order.aggregate([
-            { $match: { client: req.clientId } },
-            { $group: { _id: null, totalsales: { $sum: '$totalPrice' } } },
-        ]);
-
-        if (!totalSales || totalSales.length === 0) {
-            return res.send({ totalsales: 0 });
-        }
-
-        res.send({ totalsales: totalSales[0].totalsales });
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Get order count for the authenticated client
-router.get('/get/count', authenticateToken, async (req, res) => {
-    try {
-        const orderCount = await Order.countDocuments({ client: req.clientId });
-        res.send({ orderCount });
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// Get user orders by user ID for the authenticated client
-router.get('/get/userorders/:userid', authenticateToken, async (req, res) => {
-    try {
-        const userOrderList = await Order.find({ user: req.params.userid, client: req.clientId })
-            .populate({ path: 'orderItems', populate: { path: 'product', populate: 'category' } })
-            .sort({ dateOrdered: -1 });
-
-        if (!userOrderList) {
-            return res.status(500).json({ success: false });
-        }
-
-        res.send(userOrderList);
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-
-
+const { Order, LEGACY_STATUSES } = require('../models/order');
+const express = require('express');
+const { OrderItem } = require('../models/orderItem');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { Customer } = require('../models/customer');
+
+const Product = require('../models/product');
+const { Size } = require('../models/size');
+const { sendOrderConfirmationEmail } = require('../utils/email');
+const Client = require('../models/client');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { createPayment, processCallback, PaymentError } = require('../utils/payments');
+const Refund = require('../models/refund');
+const { createRefund } = require('../utils/refunds');
+const { transitionOrder, settleFromStoreCredit, OrderStatusError } = require('../utils/orderStatus');
+const { PricingError, roundMoney } = require('../utils/pricing');
+const { InsufficientStockError, releaseReservation } = require('../utils/inventory');
+const { createOrder, orderContact, OrderError } = require('../utils/orders');
+const { ShippingError } = require('../utils/shipping');
+const { issueInvoice, issueCreditNote, renderPdf } = require('../utils/invoices');
+const { searchOrders, isSearchQuery, OrderQueryError } = require('../utils/orderSearch');
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Managing orders is for the merchant, customers have /orders/mine
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+// Get the authenticated client's orders, filtered, sorted and a page at a time.
+// Query: status, paid, customer, from, to, minTotal, maxTotal, q, sort, order, limit, cursor
+// Without any of them the first page comes as a plain array, the shape older callers expect,
+// with the count and the cursor for the next page in X-Total-Count and X-Next-Cursor.
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const result = await searchOrders(req.clientId, req.query);
+        if (!isSearchQuery(req.query)) {
+            res.set('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor');
+            res.set('X-Total-Count', String(result.totalCount));
+            if (result.nextCursor) res.set('X-Next-Cursor', result.nextCursor);
+            return res.json(result.orders);
+        }
+        res.json(result);
+    } catch (error) {
+        if (error instanceof OrderQueryError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Orders that can still be deleted, later ones have left the warehouse
+const DELETABLE_STATUSES = ['Pending', 'Paid', 'Processing', 'Cancelled'];
+
+// Delete an order by ID
+router.delete('/:id', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, clientID: req.clientId });
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found or does not belong to client' });
+        }
+        const status = LEGACY_STATUSES[order.status] || order.status;
+        if (!DELETABLE_STATUSES.includes(status)) {
+            return res.status(409).json({ success: false, error: `A ${status} order can't be deleted, its goods have been sent` });
+        }
+
+        // Stock held for the order goes back on the shelf
+        await releaseReservation(order, { user: req.clientId });
+        await Order.deleteOne({ _id: order._id });
+        res.json({ success: true, message: 'Order deleted successfully' });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Create a new order
+router.post(
+    '/',
+    authenticateToken,
+    [
+        body('orderItems').isArray().withMessage('Order items must be an array'),
+        body('address').notEmpty().withMessage('Address is required'),
+        body('postalCode').notEmpty().withMessage('Postal code is required'),
+        body('phone').notEmpty().withMessage('Phone number is required'),
+        // Guests leave out the customer and give their contact details instead
+        body('customer').optional().isMongoId().withMessage('Invalid customer ID'),
+        body('contact.name').if(body('customer').not().exists()).notEmpty().withMessage('Contact name is required for guest orders'),
+        body('contact.email').if(body('customer').not().exists()).isEmail().withMessage('Contact email is required for guest orders'),
+        body('deliveryType').notEmpty().withMessage('Delivery method is required'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { orderItems, address, postalCode, phone, customer, contact, deliveryType, collectionPoint, discountCode, useStoreCredit } = req.body;
+
+            const { order } = await createOrder({
+                clientID: req.clientId,
+                items: orderItems,
+                discountCode,
+                deliveryType,
+                collectionPoint,
+                address,
+                postalCode,
+                phone,
+                customer,
+                contact,
+                // Only the customer themselves can spend their store credit
+                useStoreCredit: useStoreCredit === true && Boolean(req.customerId) && String(req.customerId) === String(customer),
+                changedBy: req.clientId,
+            });
+            // Moving to Paid sends the confirmation itself
+            await settleFromStoreCredit(order, { changedBy: req.clientId });
+
+            // Send order confirmation email
+            const client = await Client.findOne({ clientID: req.clientId });
+            await order.populate(['customer', { path: 'orderItems', populate: 'product' }]);
+            const { email } = orderContact(order);
+            if (client && email && !order.paid) {
+                await sendOrderConfirmationEmail(
+                    email,
+                    order,
+                    client.businessEmail,
+                    client.businessEmailPassword
+                );
+            }
+
+            res.status(201).json(order);
+        } catch (error) {
+            if (error instanceof PricingError || error instanceof InsufficientStockError
+                || error instanceof ShippingError || error instanceof OrderError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error creating order:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+);
+
+
+// Update an order by ID. Status changes must follow the order lifecycle.
+// Orders only become Paid through their payment, see /payments.
+router.put('/:id', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const { status, orderTrackingLink, orderTrackingCode, note } = req.body;
+
+        const order = await Order.findOne({ _id: req.params.id, clientID: req.clientId })
+            .populate('customer')
+            .populate('orderItems');
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found or does not belong to client' });
+        }
+
+        if (status === 'Paid' && !order.paid) {
+            return res.status(409).json({ error: 'Orders are marked Paid by their payment, confirm the payment instead' });
+        }
+
+        if (orderTrackingLink !== undefined) order.orderTrackingLink = orderTrackingLink;
+        if (orderTrackingCode !== undefined) order.orderTrackingCode = orderTrackingCode;
+
+        // transitionOrder saves the order and sends the customer notification for the new status
+        if (status && status !== order.status) {
+            await transitionOrder(order, status, { changedBy: req.clientId, note });
+        } else {
+            await order.save();
+        }
+
+        res.json(order);
+    } catch (error) {
+        if (error instanceof OrderStatusError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error updating order:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Get an order by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, clientID: req.clientId })
+            .populate('customer', 'customerFirstName emailAddress phoneNumber')
+            .populate({
+                path: 'orderItems',
+                populate: { path: 'product', populate: 'category' },
+            });
+
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+
+        res.json(order);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Start a payment for an order with one of the client's payment providers (PayFast by default)
+router.post('/:id/checkout', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const order = await Order.findOne({ _id: req.params.id, clientID: req.clientId }).populate('customer');
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const client = await Client.findOne({ clientID: req.clientId });
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const { payment, checkout } = await createPayment({
+            order,
+            client,
+            provider: req.body.provider,
+            customer: order.customer,
+        });
+
+        res.json({ paymentId: payment._id, provider: payment.provider, mode: payment.mode, ...checkout });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error starting checkout:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// PayFast ITN (Instant Transaction Notification) callback, kept for clients whose notify_url points here
+router.post('/update-order-payment', async (req, res) => {
+    try {
+        const { order } = await processCallback('payfast', req);
+        res.json({ success: true, orderId: order._id });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error updating order payment status:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Refund an order in full or in part, by line item or as a free amount
+router.post(
+    '/:id/refunds',
+    authenticateToken,
+    [
+        body('reason').notEmpty().withMessage('Refund reason is required'),
+        body('items').optional().isArray().withMessage('Items must be an array'),
+        body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+        body('restock').optional().isBoolean().withMessage('Restock must be true or false'),
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            // Refunds are for the merchant, never for customer tokens
+            if (req.customerId) {
+                return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+            }
+
+            const { items, amount, reason, restock } = req.body;
+            if ((!items || items.length === 0) && amount === undefined) {
+                return res.status(400).json({ error: 'Provide refund items or an amount' });
+            }
+
+            const order = await Order.findOne({ _id: req.params.id, clientID: req.clientId })
+                .populate('customer')
+                .populate({ path: 'orderItems', populate: { path: 'product', select: 'productName price variants' } });
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+
+            const refund = await createRefund({
+                order,
+                items,
+                amount,
+                reason,
+                restock: restock === true || restock === 'true',
+                createdBy: req.clientId,
+            });
+
+            res.status(201).json({ refund, order });
+        } catch (error) {
+            if (error instanceof PaymentError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error refunding order:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+);
+
+// List refunds for an order
+router.get('/:id/refunds', authenticateToken, async (req, res) => {
+    try {
+        const refunds = await Refund.find({ order: req.params.id, clientID: req.clientId }).sort({ createdAt: -1 });
+        res.json(refunds);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+const sendPdf = async (res, invoice) => {
+    const pdf = await renderPdf(invoice);
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+    });
+    res.send(pdf);
+};
+
+// Download the VAT invoice of a paid order
+router.get('/:id/invoice', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const order = await Order.findOne({ _id: req.params.id, clientID: req.clientId });
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found or does not belong to client' });
+        }
+        if (!order.paid) {
+            return res.status(409).json({ error: 'Invoices are issued once the order is paid' });
+        }
+
+        await sendPdf(res, await issueInvoice(order));
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Download the credit note issued for a refund
+router.get('/:id/refunds/:refundId/credit-note', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.refundId)) {
+            return res.status(400).json({ error: 'Invalid ID' });
+        }
+
+        const refund = await Refund.findOne({ _id: req.params.refundId, order: req.params.id, clientID: req.clientId });
+        if (!refund || refund.status === 'failed') {
+            return res.status(404).json({ error: 'Refund not found' });
+        }
+
+        const order = await Order.findById(refund.order).populate({ path: 'orderItems', populate: 'product' });
+        await sendPdf(res, await issueCreditNote(refund, order));
+    } catch (error) {
+        console.error('Error generating credit note:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Get total sales for the authenticated client
+router.get('/get/totalsales', authenticateToken, async (req, res) => {
+    try {
+        const totalSales = await Order.aggregate([
+            // Only paid orders are sales, exchanges were paid for by the goods sent back
+            { $match: { clientID: req.clientId, paid: true, exchangeFor: null, status: { $ne: 'Cancelled' } } },
+            // Refunded money is not a sale, refunds take their share of the tax with them
+            {
+                $project: {
+                    gross: { $ifNull: ['$finalPrice', '$totalPrice'] },
+                    refunded: { $ifNull: ['$refundedAmount', 0] },
+                    tax: { $ifNull: ['$tax.tax', 0] },
+                },
+            },
+            {
+                $project: {
+                    gross: { $subtract: ['$gross', '$refunded'] },
+                    tax: {
+                        $cond: [
+                            { $gt: ['$gross', 0] },
+                            { $multiply: ['$tax', { $divide: [{ $subtract: ['$gross', '$refunded'] }, '$gross'] }] },
+                            0,
+                        ],
+                    },
+                },
+            },
+            { $group: { _id: null, gross: { $sum: '$gross' }, tax: { $sum: '$tax' } } },
+        ]);
+
+        if (!totalSales || totalSales.length === 0) {
+            return res.send({ totalsales: 0, net: 0, tax: 0, gross: 0 });
+        }
+
+        const gross = roundMoney(totalSales[0].gross);
+        const tax = roundMoney(totalSales[0].tax);
+        res.send({ totalsales: gross, net: roundMoney(gross - tax), tax, gross });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Get order count for the authenticated client
+router.get('/get/count', authenticateToken, async (req, res) => {
+    try {
+        const orderCount = await Order.countDocuments({ clientID: req.clientId });
+        res.send({ orderCount });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Get a customer's orders for the authenticated client.
+// Customers use GET /orders/mine, a customer token here only reaches its own orders.
+router.get('/get/userorders/:userid', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.userid)) {
+            return res.status(400).json({ error: 'Invalid customer ID' });
+        }
+        if (req.customerId && String(req.customerId) !== req.params.userid) {
+            return res.status(403).json({ error: 'Forbidden - Orders belong to another customer' });
+        }
+
+        const userOrderList = await Order.find({ customer: req.params.userid, clientID: req.clientId })
+            .populate({ path: 'orderItems', populate: { path: 'product', populate: 'category' } })
+            .sort({ dateOrdered: -1 });
+
+        if (!userOrderList) {
+            return res.status(500).json({ success: false });
+        }
+
+        res.send(userOrderList);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Order } = require('../models/order');
+const Payment = require('../models/payment');
+const Client = require('../models/client');
+const {
+    PROVIDERS,
+    PaymentError,
+    getProviderSettings,
+    createPayment,
+    processCallback,
+    confirmManualPayment,
+} = require('../utils/payments');
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Provider settings and manual confirmation are for the merchant, never for customer tokens
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof PaymentError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+// List the client's payment providers, without their credentials
+router.get('/providers', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const client = await Client.findOne({ clientID: req.clientId });
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const providers = getProviderSettings(client).map(entry => ({
+            provider: entry.provider,
+            enabled: entry.enabled,
+            mode: entry.mode,
+        }));
+        res.json(providers);
+    } catch (error) {
+        handleError(res, error, 'Error fetching payment providers');
+    }
+});
+
+// Enable, disable or configure one payment provider for the client
+router.put('/providers/:provider', authenticateToken, requireMerchant, [
+    body('mode').optional().isIn(['sandbox', 'live']).withMessage('Mode must be sandbox or live'),
+    body('config').optional().isObject().withMessage('Config must be an object'),
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { provider } = req.params;
+        if (!PROVIDERS.includes(provider)) {
+            return res.status(404).json({ error: `Unknown payment provider: ${provider}` });
+        }
+
+        const client = await Client.findOne({ clientID: req.clientId });
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        // Keep the implicit PayFast setup once other providers are added
+        if (client.paymentProviders.length === 0) {
+            client.paymentProviders.push({ provider: 'payfast', enabled: true, mode: client.payfastMode });
+        }
+
+        let entry = client.paymentProviders.find(item => item.provider === provider);
+        if (!entry) {
+            client.paymentProviders.push({ provider });
+            entry = client.paymentProviders[client.paymentProviders.length - 1];
+        }
+
+        const { enabled, mode, config } = req.body;
+        if (enabled !== undefined) entry.enabled = Boolean(enabled);
+        if (mode !== undefined) entry.mode = mode;
+        if (config !== undefined) {
+            entry.config = { ...(entry.config || {}), ...config };
+            client.markModified('paymentProviders');
+        }
+
+        await client.save();
+        res.json({ provider: entry.provider, enabled: entry.enabled, mode: entry.mode });
+    } catch (error) {
+        handleError(res, error, 'Error updating payment provider');
+    }
+});
+
+// Gateway callbacks (ITN, webhooks). The adapters verify these, so no token is required.
+router.post('/callback/:provider', async (req, res) => {
+    try {
+        const { applied, payment } = await processCallback(req.params.provider, req);
+        res.json({ success: true, applied, paymentId: payment._id });
+    } catch (error) {
+        handleError(res, error, 'Error processing payment callback');
+    }
+});
+
+// Start a payment for an order
+router.post('/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.orderId)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const order = await Order.findOne({ _id: req.params.orderId, clientID: req.clientId }).populate('customer');
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const client = await Client.findOne({ clientID: req.clientId });
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const { payment, checkout } = await createPayment({
+            order,
+            client,
+            provider: req.body.provider,
+            customer: order.customer,
+        });
+
+        res.status(201).json({ paymentId: payment._id, provider: payment.provider, mode: payment.mode, ...checkout });
+    } catch (error) {
+        handleError(res, error, 'Error creating payment');
+    }
+});
+
+// All payment attempts for an order
+router.get('/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        const payments = await Payment.find({ order: req.params.orderId, clientID: req.clientId })
+            .select('-checkout')
+            .sort({ createdAt: -1 });
+        res.json(payments);
+    } catch (error) {
+        handleError(res, error, 'Error fetching payments');
+    }
+});
+
+// Payments flagged for review, money that came in for orders already cancelled
+router.get('/review', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const payments = await Payment.find({ clientID: req.clientId, needsReview: true })
+            .select('-checkout')
+            .sort({ paidAt: -1 });
+        res.json(payments);
+    } catch (error) {
+        handleError(res, error, 'Error fetching payments for review');
+    }
+});
+
+// Merchant confirms a manual (EFT) payment has reached their account
+router.post('/:id/confirm', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const payment = await Payment.findOne({ _id: req.params.id, clientID: req.clientId });
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+
+        const { order, flagged } = await confirmManualPayment(payment, req.body.reference);
+        res.json({ success: true, flagged, payment, orderId: order._id });
+    } catch (error) {
+        handleError(res, error, 'Error confirming payment');
+    }
+});
+
+module.exports = router;
@@ -1,350 +1,481 @@
-const express = require('express');
-const router = express.Router();
-const jwt = require('jsonwebtoken');
-const Product = require('../models/product');
-const { Category } = require('../models/category');
-const multer = require('multer');
-const { Octokit } = require("@octokit/rest");
-const { body, validationResult } = require('express-validator');
-const { SalesItem } = require('../models/salesItem')
-require('dotenv').config();
-
-const octokit = new Octokit({
-    auth: process.env.GITHUB_TOKEN
-});
-
-const FILE_TYPE_MAP = {
-    'image/png': 'png',
-    'image/jpeg': 'jpeg',
-    'image/jpg': 'jpg'
-};
-
-const storage = multer.memoryStorage();
-const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 } // Limit file size to 5MB
-});
-
-const createFilePath = (fileName) => `public/uploads/${fileName}`;
-
-const uploadImageToGitHub = async (file, fileName) => {
-    try {
-        const filePath = createFilePath(fileName);
-        const content = file.buffer.toString('base64');
-        const { data } = await octokit.repos.createOrUpdateFileContents({
-            owner: process.env.GITHUB_REPO.split('/')[0],
-            repo: process.env.GITHUB_REPO.split('/')[1],
-            path: filePath,
-            message: `Upload ${fileName}`,
-            content: content,
-            branch: process.env.GITHUB_BRANCH
-        });
-        return data.content.download_url;
-    } catch (error) {
-        console.error('Error uploading image to GitHub:', error);
-        throw new Error('Failed to upload image to GitHub');
-    }
-};
-
-const processVariants = (variantData) => {
-    if (!variantData) return [];
-    if (typeof variantData === 'string') {
-        try {
-            variantData = JSON.parse(variantData);
-        } catch (error) {
-            console.error('Failed to parse variantData as JSON:', error);
-            return [];
-        }
-    }
-    if (!Array.isArray(variantData)) {
-        variantData = [variantData];
-    }
-    return variantData.map(v => ({
-        value: v.value ? v.value.trim() : '',
-        price: parseFloat(v.price) || 0,
-        quantity: parseInt(v.quantity) || 0
-    }));
-};
-
-// Middleware for client validation
-const validateClient = async (req, res, next) => {
-
-    try {
-        const token = req.headers.authorization;
-        if (!token || !token.startsWith('Bearer ')) {
-            return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
-        }
-        const tokenValue = token.split(' ')[1];
-        jwt.verify(tokenValue, process.env.secret, async (err, user) => {
-            if (err) {
-                return res.status(403).json({ error: 'Forbidden - Invalid token', err });
-            }
-            if (!user.clientID) {
-                return res.status(403).json({ error: 'Forbidden - Invalid token payload' });
-            }
-            req.clientId = user.clientID; // Attach client ID to request object
-
-            next();
-        });
-    } catch (error) {
-        console.error('Error in client validation:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-};
-
-// Centralized error handling middleware
-router.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({ error: 'Internal Server Error' });
-});
-
-//Create new product
-router.post(
-    '/',
-    upload.array('images', 5),
-    [
-        body('productName').notEmpty().withMessage('Product name is required'),
-        body('price').isFloat({ gt: 0 }).withMessage('Price must be a positive number'),
-        body('category').isMongoId().withMessage('Invalid category ID'),
-        body('countInStock').isInt({ min: 0 }).withMessage('Count in stock must be a non-negative integer'),
-    ],
-    validateClient,
-    async (req, res) => {
-  
-        try {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                return res.status(400).json({ errors: errors.array() });
-            }
-
-            const files = req.files;
-            if (!files || files.length < 1) return res.status(400).send('No images in the request');
-
-            const category = await Category.findById(req.body.category);
-            if (!category) return res.status(400).json({ error: 'Invalid category ID' });
-
-            // ✅ Parse the variants JSON string into the desired format
-            let variants = [];
-            console.log('hit here3');
-            try {
-                // Ensure the variants are in string format
-                if (!req.body.variants || typeof req.body.variants !== 'string') {
-                    throw new Error('Variants data is required and should be a string');
-                }
-            
-                // Parse the JSON string into an array
-                variants = JSON.parse(req.body.variants);
-                
-                // Check if the parsed data is actually an array
-                if (!Array.isArray(variants)) {
-                    throw new Error('Parsed variants are not an array');
-                }
-            
-                console.log('hit here');
-            
-                // Modify the structure of the variants
-                variants = variants.map(variant => {
-                    if (!variant.attributes || !Array.isArray(variant.attributes)) {
-                        throw new Error('Attributes is missing or not an array');
-                    }
-            
-                    // Log the variant's attribute structure for debugging
-                    console.log('Attribute name:', variant.attributes[0].name);
-                    console.log('Values:', variant.attributes[0].values);
-            
-                    return {
-                        name: variant.attributes[0].name,  // Extract name from attributes
-                        values: variant.attributes[0].values.map(value => {
-                            console.log('Value object:', value); // Log each value object to check its structure
-                            return {
-                                value: value.value,
-                                price: value.price,
-                                stock: value.stock
-                            };
-                        })
-                    };
-                });
-            
-                // Log the final transformed variants with stringified objects to view the full data
-                console.log('Modified variants:', JSON.stringify(variants, null, 2));  // Pretty-print the JSON
-            
-            } catch (err) {
-                console.log('Error in parsing or transforming variants:', err.message);
-                return res.status(400).json({ error: 'Invalid variants format', details: err.message });
-            }
-            
-
-
-            // ✅ Upload images and get URLs
-            const imageUploadPromises = files.map(file => {
-                if (!FILE_TYPE_MAP[file.mimetype]) {
-                    throw new Error('Invalid file type');
-                }
-                const fileName = `${file.originalname.split(' ').join('-')}-${Date.now()}.${FILE_TYPE_MAP[file.mimetype]}`;
-                return uploadImageToGitHub(file, fileName);
-            });
-
-            const imagePaths = await Promise.all(imageUploadPromises);
-
-            // ✅ Create and save the product
-            const newProduct = new Product({
-                productName: req.body.productName,
-                description: req.body.description,
-                richDescription: req.body.richDescription || '',
-                images: imagePaths,
-                brand: req.body.brand || '',
-                price: Number(req.body.price), // Convert price to Number
-                countInStock: Number(req.body.countInStock), // Convert countInStock to Number
-                category: category, // Store as ObjectId reference
-                rating: 0,
-                numReviews: 0,
-                isFeatured: false,
-                clientID: req.clientId, // Ensuring `clientID` is stored
-                variants,  // Store variants in the correct format
-            });
-
-            const savedProduct = await newProduct.save();
-            res.json(savedProduct);
-        } catch (error) {
-            console.error('Error:', error);
-            res.status(500).json({ error: error.message || 'Internal Server Error' });
-        }
-    }
-);
-
-
-
-
-
-// PUT to update an existing product with images
-router.put(
-    '/:id',
-    upload.array('images', 5),
-    [
-        body('productName').optional().notEmpty().withMessage('Product name is required'),
-        body('price').optional().isFloat({ gt: 0 }).withMessage('Price must be a positive number'),
-        body('category').optional().isMongoId().withMessage('Invalid category ID'),
-        body('countInStock').optional().isInt({ min: 0 }).withMessage('Count in stock must be a non-negative integer'),
-    ],
-    validateClient,
-    async (req, res) => {
-        try {
-            const errors = validationResult(req);
-            if (!errors.isEmpty()) {
-                return res.status(400).json({ errors: errors.array() });
-            }
-
-            const files = req.files;
-            const category = await Category.findById(req.body.category);
-            if (!category) return res.status(400).json({ error: 'Invalid category ID' });
-
-            const product = await Product.findById(req.params.id);
-            if (!product) return res.status(404).json({ error: 'Product not found' });
-
-            // ✅ Parse dynamic variant fields
-            let variants = [];
-            try {
-                const receivedVariants = JSON.parse(req.body.variants); // Expecting an array of objects
-                if (!Array.isArray(receivedVariants)) throw new Error();
-                variants = receivedVariants;
-            } catch (err) {
-                return res.status(400).json({ error: 'Invalid variants format' });
-            }
-
-            let updatedImages = product.images;
-            if (files.length > 0) {
-                const imageUploadPromises = files.map(file => {
-                    if (!FILE_TYPE_MAP[file.mimetype]) {
-                        throw new Error('Invalid file type');
-                    }
-                    const fileName = `${file.originalname.split(' ').join('-')}-${Date.now()}.${FILE_TYPE_MAP[file.mimetype]}`;
-                    return uploadImageToGitHub(file, fileName);
-                });
-                const newImagePaths = await Promise.all(imageUploadPromises);
-                updatedImages = [...updatedImages, ...newImagePaths];
-            }
-
-            const updatedProduct = {
-                productName: req.body.productName || product.productName,
-                description: req.body.description || product.description,
-                richDescription: req.body.richDescription || product.richDescription,
-                images: updatedImages,
-                brand: req.body.brand || product.brand,
-                price: req.body.price || product.price,
-                category: category || product.category,
-                countInStock: req.body.countInStock || product.countInStock,
-                rating: req.body.rating || product.rating,
-                numReviews: req.body.numReviews || product.numReviews,
-                isFeatured: req.body.isFeatured || product.isFeatured,
-                variants,  // ✅ Store dynamic variants
-            };
-
-            const updatedProductResult = await Product.findByIdAndUpdate(req.params.id, updatedProduct, { new: true });
-            res.json(updatedProductResult);
-        } catch (error) {
-            console.error('Error:', error);
-            res.status(500).json({ error: error.message || 'Internal Server Error' });
-        }
-    }
-);
-
-// GET featured products
-router.get('/get/featured/:count', validateClient, async (req, res) => {
-    try {
-        const clientId = req.clientId;
-        const count = req.params.count ? parseInt(req.params.count, 10) : 0;
-        const featuredProducts = await Product.find({ isFeatured: true, clientID: clientId }).limit(count);
-        res.json(featuredProducts);
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// GET all products
-router.get('/', validateClient, async (req, res) => {
-
-    try {
-        const clientId = req.clientId;
-        const productList = await Product.find({ clientID: clientId }).populate('category');
-        res.json(productList);
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// GET a single product by id
-router.get('/:id', validateClient, async (req, res) => {
-    try {
-        const clientId = req.clientId;
-        const product = await Product.findOne({ _id: req.params.id, clientID: clientId }).populate('category');
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found' });
-        }
-        console.log(product);
-        res.json(product);
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-// DELETE a product by id
-router.delete('/:id', validateClient, async (req, res) => {
-    try {
-        const product = await Product.findByIdAndDelete(req.params.id);
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found' });
-        }
-        res.json({ message: 'Product deleted successfully' });
-    } catch (error) {
-        console.error('Error:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-
-
-
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { Category } = require('../models/category');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { SalesItem } = require('../models/salesItem')
+const { recordInitialStock, recordProductEdit } = require('../utils/inventory');
+const { TAX_CLASSES } = require('../utils/tax');
+const { VariantError, buildSkus, totalSkuStock } = require('../utils/variants');
+const { searchProducts, ProductQueryError } = require('../utils/productSearch');
+const { Review } = require('../models/review');
+const { IMAGE_TYPES, toImage, imageUrl, storeImage, deleteImages } = require('../utils/images');
+const { StorageError } = require('../utils/storage');
+require('dotenv').config();
+
+const storage = multer.memoryStorage();
+const upload = multer({ 
+    storage: storage,
+    limits: { fileSize: 5 * 1024 * 1024 } // Limit file size to 5MB
+});
+
+// Image URLs sent as a JSON list, e.g. removeImages: '["https://.../a.jpeg"]'
+const parseImageList = (imageData) => {
+    if (!imageData) return [];
+    const images = typeof imageData === 'string' ? JSON.parse(imageData) : imageData;
+    if (!Array.isArray(images)) {
+        throw new Error('Image list must be an array');
+    }
+    return images.map(String);
+};
+
+// Alt texts for images already on the product, as a JSON object keyed by image URL
+const parseImageAlts = (altData) => {
+    if (!altData) return {};
+    const alts = typeof altData === 'string' ? JSON.parse(altData) : altData;
+    if (typeof alts !== 'object' || Array.isArray(alts)) {
+        throw new Error('Image alt texts must be an object');
+    }
+    return alts;
+};
+
+// Resize each upload into its renditions, one at a time to keep memory down
+const storeImages = async (files, alt) => {
+    const images = [];
+    for (const file of files) {
+        images.push(await storeImage(file, { alt }));
+    }
+    return images;
+};
+
+// SKU settings sent with a product as a JSON string:
+// [{ options: { Size: 'M', Color: 'Red' }, code, barcode, price, stock, weight, image, active }]
+const parseSkuOverrides = (skuData) => {
+    if (!skuData) return [];
+    const overrides = typeof skuData === 'string' ? JSON.parse(skuData) : skuData;
+    if (!Array.isArray(overrides)) {
+        throw new VariantError('SKUs must be an array');
+    }
+    return overrides;
+};
+
+const processVariants = (variantData) => {
+    if (!variantData) return [];
+    if (typeof variantData === 'string') {
+        try {
+            variantData = JSON.parse(variantData);
+        } catch (error) {
+            console.error('Failed to parse variantData as JSON:', error);
+            return [];
+        }
+    }
+    if (!Array.isArray(variantData)) {
+        variantData = [variantData];
+    }
+    return variantData.map(v => ({
+        value: v.value ? v.value.trim() : '',
+        price: parseFloat(v.price) || 0,
+        quantity: parseInt(v.quantity) || 0
+    }));
+};
+
+// Middleware for client validation
+const validateClient = async (req, res, next) => {
+
+    try {
+        const token = req.headers.authorization;
+        if (!token || !token.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+        }
+        const tokenValue = token.split(' ')[1];
+        jwt.verify(tokenValue, process.env.secret, async (err, user) => {
+            if (err) {
+                return res.status(403).json({ error: 'Forbidden - Invalid token', err });
+            }
+            if (!user.clientID) {
+                return res.status(403).json({ error: 'Forbidden - Invalid token payload' });
+            }
+            req.clientId = user.clientID; // Attach client ID to request object
+
+            next();
+        });
+    } catch (error) {
+        console.error('Error in client validation:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Centralized error handling middleware
+router.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+});
+
+//Create new product
+router.post(
+    '/',
+    upload.array('images', 5),
+    [
+        body('productName').notEmpty().withMessage('Product name is required'),
+        body('price').isFloat({ gt: 0 }).withMessage('Price must be a positive number'),
+        body('category').isMongoId().withMessage('Invalid category ID'),
+        body('countInStock').isInt({ min: 0 }).withMessage('Count in stock must be a non-negative integer'),
+        body('weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a non-negative number'),
+        body('taxClass').optional().isIn(TAX_CLASSES).withMessage(`Tax class must be one of ${TAX_CLASSES.join(', ')}`),
+    ],
+    validateClient,
+    async (req, res) => {
+  
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const files = req.files;
+            if (!files || files.length < 1) return res.status(400).send('No images in the request');
+            if (files.some(file => !IMAGE_TYPES[file.mimetype])) return res.status(400).json({ error: 'Invalid file type' });
+
+            const category = await Category.findById(req.body.category);
+            if (!category) return res.status(400).json({ error: 'Invalid category ID' });
+
+            // ✅ Parse the variants JSON string into the desired format
+            let variants = [];
+            console.log('hit here3');
+            try {
+                // Ensure the variants are in string format
+                if (!req.body.variants || typeof req.body.variants !== 'string') {
+                    throw new Error('Variants data is required and should be a string');
+                }
+            
+                // Parse the JSON string into an array
+                variants = JSON.parse(req.body.variants);
+                
+                // Check if the parsed data is actually an array
+                if (!Array.isArray(variants)) {
+                    throw new Error('Parsed variants are not an array');
+                }
+            
+                console.log('hit here');
+            
+                // Modify the structure of the variants, every attribute becomes a variant
+                variants = variants.flatMap(variant => {
+                    if (!variant.attributes || !Array.isArray(variant.attributes)) {
+                        throw new Error('Attributes is missing or not an array');
+                    }
+            
+                    return variant.attributes.map(attribute => ({
+                        name: attribute.name,
+                        values: attribute.values.map(value => ({
+                            value: value.value,
+                            price: value.price || 0,
+                            stock: value.stock || 0
+                        }))
+                    }));
+                });
+            
+                // Log the final transformed variants with stringified objects to view the full data
+                console.log('Modified variants:', JSON.stringify(variants, null, 2));  // Pretty-print the JSON
+            
+            } catch (err) {
+                console.log('Error in parsing or transforming variants:', err.message);
+                return res.status(400).json({ error: 'Invalid variants format', details: err.message });
+            }
+            
+
+
+            // ✅ One SKU per combination of the variant values
+            const productId = new mongoose.Types.ObjectId();
+            let skus;
+            try {
+                skus = buildSkus({
+                    _id: productId,
+                    productName: req.body.productName,
+                    price: Number(req.body.price),
+                    variants,
+                }, parseSkuOverrides(req.body.skus));
+            } catch (err) {
+                return res.status(400).json({ error: err instanceof VariantError ? err.message : 'Invalid SKUs format' });
+            }
+
+            // ✅ Resize and upload images, alt text defaults to the product name
+            const imagePaths = await storeImages(files, req.body.imageAlt || req.body.productName);
+
+            // ✅ Create and save the product
+            const newProduct = new Product({
+                _id: productId,
+                productName: req.body.productName,
+                description: req.body.description,
+                richDescription: req.body.richDescription || '',
+                images: imagePaths,
+                brand: req.body.brand || '',
+                price: Number(req.body.price), // Convert price to Number
+                // Products with SKUs hold what their SKUs hold
+                countInStock: skus.length > 0 ? totalSkuStock(skus) : Number(req.body.countInStock),
+                weight: req.body.weight !== undefined ? Number(req.body.weight) : undefined, // kg, for shipping
+                taxClass: req.body.taxClass,
+                category: category, // Store as ObjectId reference
+                rating: 0,
+                numReviews: 0,
+                isFeatured: false,
+                clientID: req.clientId, // Ensuring `clientID` is stored
+                variants,  // Store variants in the correct format
+                skus,
+            });
+
+            const savedProduct = await newProduct.save();
+            await recordInitialStock(savedProduct, { user: req.clientId });
+            res.json(savedProduct);
+        } catch (error) {
+            if (error instanceof StorageError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error:', error);
+            res.status(500).json({ error: error.message || 'Internal Server Error' });
+        }
+    }
+);
+
+
+
+
+
+// PUT to update an existing product with images
+router.put(
+    '/:id',
+    upload.array('images', 5),
+    [
+        body('productName').optional().notEmpty().withMessage('Product name is required'),
+        body('price').optional().isFloat({ gt: 0 }).withMessage('Price must be a positive number'),
+        body('category').optional().isMongoId().withMessage('Invalid category ID'),
+        body('countInStock').optional().isInt({ min: 0 }).withMessage('Count in stock must be a non-negative integer'),
+        body('weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a non-negative number'),
+        body('taxClass').optional().isIn(TAX_CLASSES).withMessage(`Tax class must be one of ${TAX_CLASSES.join(', ')}`),
+    ],
+    validateClient,
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const files = req.files || [];
+            if (files.some(file => !IMAGE_TYPES[file.mimetype])) return res.status(400).json({ error: 'Invalid file type' });
+
+            let removedImages;
+            let imageAlts;
+            try {
+                removedImages = parseImageList(req.body.removeImages);
+                imageAlts = parseImageAlts(req.body.imageAlts);
+            } catch (err) {
+                return res.status(400).json({ error: 'Invalid removeImages or imageAlts format' });
+            }
+
+            const category = await Category.findById(req.body.category);
+            if (!category) return res.status(400).json({ error: 'Invalid category ID' });
+
+            const product = await Product.findOne({ _id: req.params.id, clientID: req.clientId });
+            if (!product) return res.status(404).json({ error: 'Product not found' });
+
+            // ✅ Parse dynamic variant fields
+            let variants = [];
+            try {
+                const receivedVariants = JSON.parse(req.body.variants); // Expecting an array of objects
+                if (!Array.isArray(receivedVariants)) throw new Error();
+                variants = receivedVariants;
+            } catch (err) {
+                return res.status(400).json({ error: 'Invalid variants format' });
+            }
+
+            // Combinations that are still there keep their SKU, code and stock
+            let skus;
+            try {
+                skus = buildSkus({
+                    _id: product._id,
+                    productName: req.body.productName || product.productName,
+                    price: req.body.price || product.price,
+                    variants,
+                    skus: product.skus,
+                }, parseSkuOverrides(req.body.skus));
+            } catch (err) {
+                return res.status(400).json({ error: err instanceof VariantError ? err.message : 'Invalid SKUs format' });
+            }
+
+            // Images listed in removeImages are dropped and their files deleted once the product is saved
+            const droppedImages = product.images.filter(image => removedImages.includes(imageUrl(image)));
+            let updatedImages = product.images
+                .filter(image => !removedImages.includes(imageUrl(image)))
+                .map(image => {
+                    const alt = imageAlts[imageUrl(image)];
+                    return alt === undefined ? image : { ...toImage(image), alt: String(alt) };
+                });
+            if (files.length > 0) {
+                const newImagePaths = await storeImages(files, req.body.imageAlt || req.body.productName || product.productName);
+                updatedImages = [...updatedImages, ...newImagePaths];
+            }
+
+            const updatedProduct = {
+                productName: req.body.productName || product.productName,
+                description: req.body.description || product.description,
+                richDescription: req.body.richDescription || product.richDescription,
+                images: updatedImages,
+                brand: req.body.brand || product.brand,
+                price: req.body.price || product.price,
+                category: category || product.category,
+                countInStock: skus.length > 0 ? totalSkuStock(skus) : req.body.countInStock || product.countInStock,
+                weight: req.body.weight !== undefined ? Number(req.body.weight) : product.weight,
+                taxClass: req.body.taxClass || product.taxClass,
+                isFeatured: req.body.isFeatured || product.isFeatured,
+                variants,  // ✅ Store dynamic variants
+                skus,
+            };
+
+            const updatedProductResult = await Product.findOneAndUpdate({ _id: product._id, clientID: req.clientId }, updatedProduct, { new: true });
+            // Stock typed into the edit form is recorded as a manual adjustment
+            await recordProductEdit(product, updatedProductResult, { user: req.clientId });
+            await deleteImages(droppedImages);
+            res.json(updatedProductResult);
+        } catch (error) {
+            if (error instanceof StorageError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error('Error:', error);
+            res.status(500).json({ error: error.message || 'Internal Server Error' });
+        }
+    }
+);
+
+// Update one SKU. Stock isn't set here, it moves through /inventory so the ledger stays complete.
+router.put(
+    '/:id/skus/:skuId',
+    [
+        body('code').optional().notEmpty().withMessage('SKU code cannot be empty'),
+        body('barcode').optional().isString(),
+        body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+        body('weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a non-negative number'),
+        body('image').optional().isURL().withMessage('Image must be a URL'),
+        body('active').optional().isBoolean(),
+    ],
+    validateClient,
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const product = await Product.findOne({ _id: req.params.id, clientID: req.clientId });
+            if (!product) return res.status(404).json({ error: 'Product not found' });
+
+            const sku = product.skus.id(req.params.skuId);
+            if (!sku) return res.status(404).json({ error: 'SKU not found' });
+
+            const { code, barcode, price, weight, image, active } = req.body;
+            if (code !== undefined) {
+                const upper = String(code).trim().toUpperCase();
+                if (product.skus.some(other => other !== sku && other.code === upper)) {
+                    return res.status(409).json({ error: `SKU code ${upper} is already in use` });
+                }
+                sku.code = upper;
+            }
+            if (barcode !== undefined) sku.barcode = barcode;
+            if (price !== undefined) sku.price = Number(price);
+            if (weight !== undefined) sku.weight = Number(weight);
+            // Only a link, the file belongs to whoever stored it and is never deleted from here
+            if (image !== undefined) sku.image = image;
+            if (active !== undefined) sku.active = active === true || active === 'true';
+
+            await product.save();
+            res.json(sku);
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'SKU code is already in use by another product' });
+            }
+            console.error('Error:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+);
+
+// GET featured products
+router.get('/get/featured/:count', validateClient, async (req, res) => {
+    try {
+        const clientId = req.clientId;
+        const count = req.params.count ? parseInt(req.params.count, 10) : 0;
+        const featuredProducts = await Product.find({ isFeatured: true, clientID: clientId }).limit(count);
+        res.json(featuredProducts);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// GET all products
+router.get('/', validateClient, async (req, res) => {
+
+    try {
+        const clientId = req.clientId;
+        const productList = await Product.find({ clientID: clientId }).populate('category');
+        res.json(productList);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Storefront search: a page of products with facet counts for the filter sidebar.
+// Query: q, category, brand, minPrice, maxPrice, inStock, onSale, size, color, material, style, title,
+// sort (relevance, price, newest, rating), order, limit, cursor
+router.get('/search', validateClient, async (req, res) => {
+    try {
+        res.json(await searchProducts(req.clientId, req.query));
+    } catch (error) {
+        if (error instanceof ProductQueryError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// GET a single product by id
+router.get('/:id', validateClient, async (req, res) => {
+    try {
+        const clientId = req.clientId;
+        const product = await Product.findOne({ _id: req.params.id, clientID: clientId }).populate('category');
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        console.log(product);
+        res.json(product);
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// DELETE a product by id
+router.delete('/:id', validateClient, async (req, res) => {
+    try {
+        const product = await Product.findOneAndDelete({ _id: req.params.id, clientID: req.clientId });
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        await Review.deleteMany({ product: product._id });
+        // Only the files the product stored itself, SKU images are links to them or elsewhere
+        await deleteImages(product.images);
+        res.json({ message: 'Product deleted successfully' });
+    } catch (error) {
+        console.error('Error:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+
+
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { ReturnRequest, RETURN_STATUSES, RETURN_RESOLUTIONS } = require('../models/returnRequest');
+const { ReturnError, approveReturn, rejectReturn, receiveReturn, resolveReturn } = require('../utils/returns');
+const { PaymentError } = require('../utils/payments');
+const { PricingError } = require('../utils/pricing');
+const { InsufficientStockError } = require('../utils/inventory');
+const { ShippingError } = require('../utils/shipping');
+const { OrderStatusError } = require('../utils/orderStatus');
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Returns are handled by the merchant, customers request them through /orders/mine
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof ReturnError || error instanceof PaymentError || error instanceof PricingError
+        || error instanceof InsufficientStockError || error instanceof ShippingError || error instanceof OrderStatusError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({ errors: errors.array() });
+        return false;
+    }
+    return true;
+};
+
+// Loads the client's return request into req.returnRequest
+const loadReturn = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid return ID' });
+        }
+        const request = await ReturnRequest.findOne({ _id: req.params.id, clientID: req.clientId });
+        if (!request) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+        req.returnRequest = request;
+        next();
+    } catch (error) {
+        handleError(res, error, 'Error loading return');
+    }
+};
+
+// The client's returns, newest first. Query: status, order
+router.get('/', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const filter = { clientID: req.clientId };
+        if (req.query.status) {
+            if (!RETURN_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ error: `Status must be one of ${RETURN_STATUSES.join(', ')}` });
+            }
+            filter.status = req.query.status;
+        }
+        if (req.query.order) {
+            if (!mongoose.isValidObjectId(req.query.order)) {
+                return res.status(400).json({ error: 'Invalid order ID' });
+            }
+            filter.order = req.query.order;
+        }
+
+        const requests = await ReturnRequest.find(filter)
+            .populate('customer', 'customerFirstName customerLastName emailAddress')
+            .sort({ createdAt: -1 });
+        res.json(requests);
+    } catch (error) {
+        handleError(res, error, 'Error fetching returns');
+    }
+});
+
+router.get('/:id', authenticateToken, requireMerchant, loadReturn, async (req, res) => {
+    try {
+        await req.returnRequest.populate([
+            { path: 'customer', select: 'customerFirstName customerLastName emailAddress' },
+            { path: 'items.orderItem' },
+        ]);
+        res.json(req.returnRequest);
+    } catch (error) {
+        handleError(res, error, 'Error fetching return');
+    }
+});
+
+// Accept the return, with how to send it back
+router.post('/:id/approve', authenticateToken, requireMerchant, loadReturn, [
+    body('instructions').optional().isString(),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        res.json(await approveReturn(req.returnRequest, { instructions: req.body.instructions, changedBy: req.clientId }));
+    } catch (error) {
+        handleError(res, error, 'Error approving return');
+    }
+});
+
+router.post('/:id/reject', authenticateToken, requireMerchant, loadReturn, [
+    body('reason').notEmpty().withMessage('Reason is required'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        res.json(await rejectReturn(req.returnRequest, { reason: req.body.reason, changedBy: req.clientId }));
+    } catch (error) {
+        handleError(res, error, 'Error rejecting return');
+    }
+});
+
+// Book the goods in. Leave out items when everything came back in a sellable state.
+router.post('/:id/receive', authenticateToken, requireMerchant, loadReturn, [
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.orderItem').isMongoId().withMessage('Invalid order item ID'),
+    body('items.*.quantity').isInt({ min: 0 }).withMessage('Quantity must be 0 or more'),
+    body('items.*.restock').optional().isBoolean(),
+    body('note').optional().isString(),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const { items, note } = req.body;
+        res.json(await receiveReturn(req.returnRequest, { items, note, changedBy: req.clientId }));
+    } catch (error) {
+        handleError(res, error, 'Error receiving return');
+    }
+});
+
+// Settle the return. Exchanges take replacements (same items by default) and a delivery method.
+router.post('/:id/resolve', authenticateToken, requireMerchant, loadReturn, [
+    body('resolution').isIn(RETURN_RESOLUTIONS).withMessage(`Resolution must be one of ${RETURN_RESOLUTIONS.join(', ')}`),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than 0'),
+    body('replacements').optional().isArray().withMessage('Replacements must be an array'),
+    body('replacements.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('replacements.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('deliveryType').optional().isString(),
+    body('note').optional().isString(),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const { resolution, amount, replacements, deliveryType, note } = req.body;
+        res.json(await resolveReturn(req.returnRequest, {
+            resolution,
+            amount,
+            replacements,
+            deliveryType,
+            note,
+            changedBy: req.clientId,
+        }));
+    } catch (error) {
+        handleError(res, error, 'Error resolving return');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Review, REVIEW_STATUSES } = require('../models/review');
+const {
+    ReviewError,
+    createReview,
+    updateReview,
+    deleteReview,
+    moderateReview,
+    voteHelpful,
+    ratingSummary,
+} = require('../utils/reviews');
+
+// ?sort= values for the storefront list
+const SORTS = {
+    newest: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_PHOTOS = 5;
+
+// Middleware to authenticate a site, merchant or customer token
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID;
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Writing and voting need a customer token from POST /customer/login
+const requireCustomer = (req, res, next) => {
+    if (!req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Customer token required' });
+    }
+    next();
+};
+
+// Moderation is for the merchant, never for customer tokens
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof ReviewError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({ errors: errors.array() });
+        return false;
+    }
+    return true;
+};
+
+// Loads the client's review into req.review
+const loadReview = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid review ID' });
+        }
+        const review = await Review.findOne({ _id: req.params.id, clientID: req.clientId });
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        req.review = review;
+        next();
+    } catch (error) {
+        handleError(res, error, 'Error loading review');
+    }
+};
+
+// Customers only touch their own reviews
+const requireAuthor = (req, res, next) => {
+    if (String(req.review.customer) !== String(req.customerId)) {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+    next();
+};
+
+const reviewValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+        body('title').optional().isString().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+        body('body').optional().isString().isLength({ max: 5000 }).withMessage('Review must be at most 5000 characters'),
+        body('photos').optional().isArray({ max: MAX_PHOTOS }).withMessage(`Photos must be an array of up to ${MAX_PHOTOS} URLs`),
+        body('photos.*').isURL().withMessage('Photos must be URLs'),
+    ];
+};
+
+// Approved reviews of a product with the rating summary for the storefront.
+// Query: sort (newest, helpful, highest, lowest), rating, verified, page, limit
+router.get('/product/:productId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.productId)) {
+            return res.status(400).json({ error: 'Invalid product ID' });
+        }
+        const sort = SORTS[req.query.sort || 'newest'];
+        if (!sort) {
+            return res.status(400).json({ error: `Sort must be one of ${Object.keys(SORTS).join(', ')}` });
+        }
+
+        const filter = { product: req.params.productId, clientID: req.clientId, status: 'approved' };
+        if (req.query.rating) filter.rating = parseInt(req.query.rating, 10);
+        if (req.query.verified === 'true') filter.verifiedPurchase = true;
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [reviews, totalCount, summary] = await Promise.all([
+            Review.find(filter)
+                .populate('customer', 'customerFirstName')
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Review.countDocuments(filter),
+            ratingSummary(req.params.productId),
+        ]);
+
+        res.json({ summary, reviews, page, totalCount, hasMore: page * limit < totalCount });
+    } catch (error) {
+        handleError(res, error, 'Error fetching product reviews');
+    }
+});
+
+// The logged in customer's reviews, whatever their status
+router.get('/mine', authenticateToken, requireCustomer, async (req, res) => {
+    try {
+        const reviews = await Review.find({ clientID: req.clientId, customer: req.customerId })
+            .populate('product', 'productName images')
+            .sort({ createdAt: -1 });
+        res.json(reviews);
+    } catch (error) {
+        handleError(res, error, 'Error fetching customer reviews');
+    }
+});
+
+// Moderation queue, oldest first so nothing waits too long. Query: status (pending by default), product
+router.get('/moderation', authenticateToken, requireMerchant, async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+
+        const filter = { clientID: req.clientId, status };
+        if (req.query.product) {
+            if (!mongoose.isValidObjectId(req.query.product)) {
+                return res.status(400).json({ error: 'Invalid product ID' });
+            }
+            filter.product = req.query.product;
+        }
+
+        const reviews = await Review.find(filter)
+            .populate('product', 'productName')
+            .populate('customer', 'customerFirstName customerLastName emailAddress')
+            .sort({ createdAt: 1 });
+        res.json(reviews);
+    } catch (error) {
+        handleError(res, error, 'Error fetching review moderation queue');
+    }
+});
+
+// Write a review. It shows once the merchant approves it.
+router.post('/', authenticateToken, requireCustomer, [
+    body('product').isMongoId().withMessage('Invalid product ID'),
+    ...reviewValidators(false),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const { product, rating, title, body: text, photos } = req.body;
+        const review = await createReview({
+            clientID: req.clientId,
+            customer: req.customerId,
+            product,
+            rating,
+            title,
+            body: text,
+            photos,
+        });
+        res.status(201).json(review);
+    } catch (error) {
+        handleError(res, error, 'Error creating review');
+    }
+});
+
+router.put('/:id', authenticateToken, requireCustomer, loadReview, requireAuthor, reviewValidators(true), async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        const { rating, title, body: text, photos } = req.body;
+        res.json(await updateReview(req.review, { rating, title, body: text, photos }));
+    } catch (error) {
+        handleError(res, error, 'Error updating review');
+    }
+});
+
+// Customers delete their own reviews, the merchant any review
+router.delete('/:id', authenticateToken, loadReview, async (req, res) => {
+    try {
+        if (req.customerId && String(req.review.customer) !== String(req.customerId)) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        await deleteReview(req.review);
+        res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+        handleError(res, error, 'Error deleting review');
+    }
+});
+
+router.post('/:id/helpful', authenticateToken, requireCustomer, loadReview, async (req, res) => {
+    try {
+        const review = await voteHelpful(req.review, req.customerId);
+        res.json({ helpfulCount: review.helpfulCount });
+    } catch (error) {
+        handleError(res, error, 'Error voting on review');
+    }
+});
+
+router.post('/:id/approve', authenticateToken, requireMerchant, loadReview, async (req, res) => {
+    try {
+        res.json(await moderateReview(req.review, 'approved'));
+    } catch (error) {
+        handleError(res, error, 'Error approving review');
+    }
+});
+
+router.post('/:id/reject', authenticateToken, requireMerchant, loadReview, [
+    body('reason').notEmpty().withMessage('Reason is required'),
+], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+        res.json(await moderateReview(req.review, 'rejected', { note: req.body.reason }));
+    } catch (error) {
+        handleError(res, error, 'Error rejecting review');
+    }
+});
+
+module.exports = router;
@@ -36,6 +36,7 @@ router.post('/', validateClient, async (req, res) => {
             name:req.body.name,
             description:req.body.description,
             price:req.body.price,
+            taxClass:req.body.taxClass,
             clientID:clientID });
         await newService.save();
 
@@ -74,11 +75,11 @@ router.get('/:id', validateClient, async (req, res) => {
 // **UPDATE A SERVICE**
 router.put('/:id', validateClient, async (req, res) => {
     try {
-        const { name, description, price } = req.body;
+        const { name, description, price, taxClass } = req.body;
         const updatedService = await Service.findOneAndUpdate(
             { _id: req.params.id, clientID: req.clientId },
-            { name, description, price },
-            { new: true }
+            { name, description, price, taxClass },
+            { new: true, runValidators: true }
         );
 
         if (!updatedService) {
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Order } = require('../models/order');
+const { Shipment, SHIPMENT_STATUSES } = require('../models/shipment');
+const { ShipmentError, createShipment, addTrackingEvent, toTracking } = require('../utils/shipments');
+const { OrderStatusError } = require('../utils/orderStatus');
+const { orderContact, orderReferenceFilter } = require('../utils/orders');
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// Creating shipments and posting events moves orders along, that's for the merchant
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof ShipmentError || error instanceof OrderStatusError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+// Couriers sign the raw body with the shared secret, hex HMAC-SHA256 in X-Courier-Signature
+const isValidCourierSignature = (req) => {
+    const secret = process.env.COURIER_WEBHOOK_SECRET;
+    const signature = req.headers['x-courier-signature'];
+    if (!secret || !signature || req.rawBody === undefined) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+    const given = Buffer.from(String(signature));
+    return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+};
+
+// Public tracking lookup by order number and the email address the order was placed with
+router.get('/track', async (req, res) => {
+    try {
+        const { order: reference, email } = req.query;
+        if (!reference || !email) {
+            return res.status(400).json({ error: 'Order number and email address are required' });
+        }
+
+        // Same answer for a wrong order number and a wrong email, so orders can't be probed
+        const notFound = () => res.status(404).json({ error: 'No order found for these details' });
+
+        // Order numbers are only unique per client, the email tells apart orders that share one
+        const candidates = await Order.find(orderReferenceFilter(reference)).populate('customer', 'emailAddress');
+        const order = candidates.find(candidate => {
+            const contactEmail = orderContact(candidate).email;
+            return contactEmail && contactEmail.trim().toLowerCase() === String(email).trim().toLowerCase();
+        });
+        if (!order) {
+            return notFound();
+        }
+
+        const shipments = await Shipment.find({ order: order._id }).sort({ createdAt: 1 });
+        res.json({
+            order: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            dateOrdered: order.dateOrdered,
+            shipments: shipments.map(toTracking),
+        });
+    } catch (error) {
+        handleError(res, error, 'Error looking up tracking');
+    }
+});
+
+// Tracking updates posted by a courier
+router.post('/webhook/:carrier', async (req, res) => {
+    try {
+        if (!isValidCourierSignature(req)) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        const { waybill, status, description, location, occurredAt, eventId } = req.body;
+        if (!waybill || !SHIPMENT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: 'waybill and a valid status are required' });
+        }
+
+        const shipment = await Shipment.findOne({ carrier: req.params.carrier, waybill });
+        if (!shipment) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+
+        const result = await addTrackingEvent(
+            shipment,
+            { status, description, location, occurredAt, source: 'webhook', externalId: eventId },
+            { changedBy: req.params.carrier }
+        );
+        res.json({ received: true, duplicate: result.duplicate });
+    } catch (error) {
+        handleError(res, error, 'Error processing courier webhook');
+    }
+});
+
+// Create a shipment for an order
+router.post(
+    '/',
+    authenticateToken,
+    requireMerchant,
+    [
+        body('order').isMongoId().withMessage('Invalid order ID'),
+        body('carrier').notEmpty().withMessage('Carrier is required'),
+        body('waybill').optional().isString(),
+        body('trackingUrl').optional().isURL().withMessage('Tracking URL must be a URL'),
+        body('items').optional().isArray().withMessage('Items must be an array'),
+        body('items.*.orderItem').isMongoId().withMessage('Invalid order item ID'),
+        body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('dispatched').optional().isBoolean(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const order = await Order.findOne({ _id: req.body.order, clientID: req.clientId }).populate('orderItems');
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+
+            const { carrier, waybill, trackingUrl, items, dispatched } = req.body;
+            const shipment = await createShipment({
+                order,
+                carrier,
+                waybill,
+                trackingUrl,
+                items,
+                dispatched: dispatched === true || dispatched === 'true',
+                changedBy: req.clientId,
+            });
+            res.status(201).json(shipment);
+        } catch (error) {
+            handleError(res, error, 'Error creating shipment');
+        }
+    }
+);
+
+// Shipments of an order
+router.get('/orders/:orderId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.orderId)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const shipments = await Shipment.find({ order: req.params.orderId, clientID: req.clientId }).sort({ createdAt: 1 });
+        res.json(shipments);
+    } catch (error) {
+        handleError(res, error, 'Error fetching shipments');
+    }
+});
+
+// Get a shipment by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid shipment ID' });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, clientID: req.clientId }).populate('items.orderItem');
+        if (!shipment) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+        res.json(shipment);
+    } catch (error) {
+        handleError(res, error, 'Error fetching shipment');
+    }
+});
+
+// Record a tracking event by hand, for couriers without webhooks
+router.post('/:id/events', authenticateToken, requireMerchant, [
+    body('status').isIn(SHIPMENT_STATUSES).withMessage(`Status must be one of ${SHIPMENT_STATUSES.join(', ')}`),
+    body('description').optional().isString(),
+    body('location').optional().isString(),
+    body('occurredAt').optional().isISO8601().withMessage('occurredAt must be a date'),
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid shipment ID' });
+        }
+
+        const shipment = await Shipment.findOne({ _id: req.params.id, clientID: req.clientId });
+        if (!shipment) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+
+        const { status, description, location, occurredAt } = req.body;
+        const result = await addTrackingEvent(
+            shipment,
+            { status, description, location, occurredAt, source: 'manual' },
+            { changedBy: req.clientId }
+        );
+        res.status(201).json(result.shipment);
+    } catch (error) {
+        handleError(res, error, 'Error adding tracking event');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const ShippingConfig = require('../models/shippingConfig');
+const { priceOrder, roundMoney, PricingError } = require('../utils/pricing');
+const { quoteShipping, ShippingError } = require('../utils/shipping');
+
+// Middleware to authenticate JWT token and extract clientId
+const authenticateToken = (req, res, next) => {
+    const token = req.headers.authorization;
+
+    if (!token || !token.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized - Token missing or invalid format' });
+    }
+
+    const tokenValue = token.split(' ')[1];
+
+    jwt.verify(tokenValue, process.env.secret, (err, user) => {
+        if (err) {
+            return res.status(403).json({ error: 'Forbidden - Invalid token' });
+        }
+        req.clientId = user.clientID; // Attach clientId to the request object
+        req.customerId = user.customerID; // Only set on customer tokens
+        next();
+    });
+};
+
+// The shipping setup is the merchant's, storefronts only read it
+const requireMerchant = (req, res, next) => {
+    if (req.customerId) {
+        return res.status(403).json({ error: 'Forbidden - Merchant token required' });
+    }
+    next();
+};
+
+const handleError = (res, error, message) => {
+    if (error instanceof ShippingError || error instanceof PricingError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+};
+
+const hasDuplicates = (values) => new Set(values).size !== values.length;
+
+// Delivery options and prices for a cart.
+// items is a JSON array of { product, quantity, size, color... }, the same lines POST /orders takes.
+router.get('/quote', authenticateToken, async (req, res) => {
+    try {
+        const { postalCode, discountCode } = req.query;
+        let items = req.query.items;
+        if (typeof items === 'string') {
+            try {
+                items = JSON.parse(items);
+            } catch (error) {
+                return res.status(400).json({ error: 'Items must be a JSON array' });
+            }
+        }
+
+        const cart = await priceOrder({ clientID: req.clientId, items, discountCode });
+        const subtotal = roundMoney(cart.subtotal - cart.discountAmount);
+        const quote = await quoteShipping({ clientID: req.clientId, lines: cart.lines, subtotal, postalCode });
+
+        res.json({ subtotal, ...quote });
+    } catch (error) {
+        handleError(res, error, 'Error quoting shipping');
+    }
+});
+
+// The client's shipping setup
+router.get('/config', authenticateToken, async (req, res) => {
+    try {
+        const config = await ShippingConfig.findOne({ clientID: req.clientId });
+        if (!config) {
+            return res.json({ clientID: req.clientId, zones: [], methods: [], collectionPoints: [], defaultWeight: 0 });
+        }
+        res.json(config);
+    } catch (error) {
+        handleError(res, error, 'Error fetching shipping configuration');
+    }
+});
+
+// Replace the client's shipping setup
+router.put(
+    '/config',
+    authenticateToken,
+    requireMerchant,
+    [
+        body('zones').optional().isArray().withMessage('Zones must be an array'),
+        body('methods').isArray({ min: 1 }).withMessage('At least one delivery method is required'),
+        body('methods.*.code').notEmpty().withMessage('Every delivery method needs a code'),
+        body('methods.*.name').notEmpty().withMessage('Every delivery method needs a name'),
+        body('methods.*.rates').optional().isArray().withMessage('Rates must be an array'),
+        body('methods.*.rates.*.price').isFloat({ min: 0 }).withMessage('Rate prices must be non-negative numbers'),
+        body('collectionPoints').optional().isArray().withMessage('Collection points must be an array'),
+        body('defaultWeight').optional().isFloat({ min: 0 }).withMessage('Default weight must be a non-negative number'),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { zones = [], methods, collectionPoints = [], defaultWeight = 0 } = req.body;
+
+            if (hasDuplicates(methods.map(method => method.code))) {
+                return res.status(400).json({ error: 'Delivery method codes must be unique' });
+            }
+            if (hasDuplicates(zones.map(zone => zone.name))) {
+                return res.status(400).json({ error: 'Zone names must be unique' });
+            }
+            if (hasDuplicates(collectionPoints.map(point => point.code))) {
+                return res.status(400).json({ error: 'Collection point codes must be unique' });
+            }
+
+            const zoneNames = zones.map(zone => zone.name);
+            const unknownZone = methods
+                .flatMap(method => method.rates || [])
+                .find(rate => rate.zone && !zoneNames.includes(rate.zone));
+            if (unknownZone) {
+                return res.status(400).json({ error: `Unknown zone in rates: ${unknownZone.zone}` });
+            }
+
+            const config = await ShippingConfig.findOneAndUpdate(
+                { clientID: req.clientId },
+                { zones, methods, collectionPoints, defaultWeight },
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+            res.json(config);
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ error: error.message });
+            }
+            handleError(res, error, 'Error saving shipping configuration');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,325 @@
+const { Order } = require('../models/order');
+const { OrderItem } = require('../models/orderItem');
+const Product = require('../models/product');
+const { Category } = require('../models/category');
+const DiscountCode = require('../models/discountCode');
+const { roundMoney } = require('./pricing');
+
+class AnalyticsError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AnalyticsError';
+        this.statusCode = statusCode;
+    }
+}
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_TIMEZONE = 'Africa/Johannesburg';
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new AnalyticsError(`${name} must be a date`);
+    }
+    return date;
+}
+
+function parseTimezone(value) {
+    if (!value) return DEFAULT_TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: value });
+    } catch (error) {
+        throw new AnalyticsError(`Unknown timezone: ${value}`);
+    }
+    return value;
+}
+
+// ?from=&to=&timezone=&interval=&limit= shared by every report. The last 30 days by default.
+function parseRange(query) {
+    const to = query.to ? parseDate(query.to, 'to') : new Date();
+    const from = query.from
+        ? parseDate(query.from, 'from')
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (from > to) {
+        throw new AnalyticsError('from must be before to');
+    }
+
+    const interval = query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+        throw new AnalyticsError(`interval must be one of ${INTERVALS.join(', ')}`);
+    }
+
+    let limit = DEFAULT_TOP;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (!limit || limit < 1) {
+            throw new AnalyticsError('limit must be a positive number');
+        }
+        limit = Math.min(limit, MAX_TOP);
+    }
+
+    return { from, to, timezone: parseTimezone(query.timezone), interval, limit };
+}
+
+// Only paid orders count as sales. Refunded money comes off what they brought in,
+// and exchanges were paid for with goods that had already been sold.
+function salesMatch(clientID, { from, to }) {
+    return { clientID, paid: true, exchangeFor: null, dateOrdered: { $gte: from, $lte: to } };
+}
+
+const orderRevenue = {
+    $subtract: [{ $ifNull: ['$finalPrice', '$totalPrice'] }, { $ifNull: ['$refundedAmount', 0] }],
+};
+
+// Revenue and order count per day, week or month in the client's timezone
+async function salesOverTime(clientID, range) {
+    const rows = await Order.aggregate([
+        { $match: salesMatch(clientID, range) },
+        {
+            $group: {
+                _id: {
+                    $dateTrunc: { date: '$dateOrdered', unit: range.interval, timezone: range.timezone, startOfWeek: 'monday' },
+                },
+                orders: { $sum: 1 },
+                revenue: { $sum: orderRevenue },
+                tax: { $sum: { $ifNull: ['$tax.tax', 0] } },
+                discounts: { $sum: { $ifNull: ['$discountAmount', 0] } },
+                delivery: { $sum: { $ifNull: ['$deliveryPrice', 0] } },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    const series = rows.map(row => ({
+        period: row._id,
+        orders: row.orders,
+        revenue: roundMoney(row.revenue),
+        averageOrderValue: roundMoney(row.revenue / row.orders),
+        tax: roundMoney(row.tax),
+        discounts: roundMoney(row.discounts),
+        delivery: roundMoney(row.delivery),
+    }));
+
+    const orders = series.reduce((sum, row) => sum + row.orders, 0);
+    const revenue = roundMoney(series.reduce((sum, row) => sum + row.revenue, 0));
+    return {
+        series,
+        totals: { orders, revenue, averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0 },
+    };
+}
+
+// Order items of the paid orders in range with what each one brought in after refunds.
+// Orders placed before line prices were stored fall back to the product's current price.
+function soldItemsPipeline(clientID, range) {
+    return [
+        { $match: salesMatch(clientID, range) },
+        { $project: { orderItems: 1 } },
+        { $unwind: '$orderItems' },
+        { $lookup: { from: OrderItem.collection.name, localField: 'orderItems', foreignField: '_id', as: 'item' } },
+        { $unwind: '$item' },
+        { $lookup: { from: Product.collection.name, localField: 'item.product', foreignField: '_id', as: 'product' } },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                product: '$item.product',
+                productName: { $ifNull: ['$item.productName', '$product.productName'] },
+                category: '$product.category',
+                quantity: '$item.quantity',
+                kept: { $subtract: ['$item.quantity', { $ifNull: ['$item.refundedQuantity', 0] }] },
+                lineTotal: {
+                    $ifNull: [
+                        '$item.grossTotal',
+                        { $ifNull: ['$item.lineTotal', { $multiply: ['$item.quantity', { $ifNull: ['$product.price', 0] }] }] },
+                    ],
+                },
+            },
+        },
+        {
+            $project: {
+                product: 1,
+                productName: 1,
+                category: 1,
+                units: '$kept',
+                revenue: {
+                    $cond: [{ $gt: ['$quantity', 0] }, { $multiply: ['$lineTotal', { $divide: ['$kept', '$quantity'] }] }, 0],
+                },
+            },
+        },
+    ];
+}
+
+const sortFor = (by) => (by === 'units' ? { units: -1, revenue: -1 } : { revenue: -1, units: -1 });
+
+function checkRanking(by) {
+    if (by && by !== 'revenue' && by !== 'units') {
+        throw new AnalyticsError('by must be revenue or units');
+    }
+}
+
+// Best selling products by revenue or units
+async function topProducts(clientID, range, by = 'revenue') {
+    checkRanking(by);
+    const rows = await Order.aggregate([
+        ...soldItemsPipeline(clientID, range),
+        {
+            $group: {
+                _id: '$product',
+                productName: { $first: '$productName' },
+                units: { $sum: '$units' },
+                revenue: { $sum: '$revenue' },
+                orders: { $sum: 1 },
+            },
+        },
+        { $sort: sortFor(by) },
+        { $limit: range.limit },
+    ]);
+
+    return rows.map(row => ({
+        product: row._id,
+        productName: row.productName,
+        units: row.units,
+        revenue: roundMoney(row.revenue),
+        orders: row.orders,
+    }));
+}
+
+// Best selling categories by revenue or units
+async function topCategories(clientID, range, by = 'revenue') {
+    checkRanking(by);
+    const rows = await Order.aggregate([
+        ...soldItemsPipeline(clientID, range),
+        {
+            $group: {
+                _id: '$category',
+                units: { $sum: '$units' },
+                revenue: { $sum: '$revenue' },
+                products: { $addToSet: '$product' },
+            },
+        },
+        { $sort: sortFor(by) },
+        { $limit: range.limit },
+        { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+        { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    ]);
+
+    return rows.map(row => ({
+        category: row._id || null,
+        categoryName: row.category ? row.category.name : 'Uncategorised',
+        units: row.units,
+        revenue: roundMoney(row.revenue),
+        products: row.products.length,
+    }));
+}
+
+// How often each discount code was used, what it gave away and what its orders brought in
+async function discountUsage(clientID, range) {
+    const rows = await Order.aggregate([
+        { $match: { ...salesMatch(clientID, range), checkoutCode: { $ne: null } } },
+        {
+            $group: {
+                _id: '$checkoutCode',
+                code: { $first: '$priceBreakdown.discountCode' },
+                orders: { $sum: 1 },
+                discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } },
+                revenue: { $sum: orderRevenue },
+            },
+        },
+        { $lookup: { from: DiscountCode.collection.name, localField: '_id', foreignField: '_id', as: 'discountCode' } },
+        { $unwind: { path: '$discountCode', preserveNullAndEmptyArrays: true } },
+        { $sort: { orders: -1, revenue: -1 } },
+    ]);
+
+    return rows.map(row => ({
+        discountCode: row._id,
+        code: row.code || (row.discountCode ? row.discountCode.code : null),
+        orders: row.orders,
+        discountGiven: roundMoney(row.discountGiven),
+        revenue: roundMoney(row.revenue),
+    }));
+}
+
+// Orders and revenue per delivery method
+async function deliveryMix(clientID, range) {
+    const rows = await Order.aggregate([
+        { $match: salesMatch(clientID, range) },
+        {
+            $group: {
+                _id: '$deliveryType',
+                orders: { $sum: 1 },
+                revenue: { $sum: orderRevenue },
+                deliveryCharged: { $sum: { $ifNull: ['$deliveryPrice', 0] } },
+            },
+        },
+        { $sort: { orders: -1 } },
+    ]);
+
+    const totalOrders = rows.reduce((sum, row) => sum + row.orders, 0);
+    return rows.map(row => ({
+        deliveryType: row._id || 'unknown',
+        orders: row.orders,
+        share: totalOrders > 0 ? roundMoney(row.orders / totalOrders * 100) : 0,
+        revenue: roundMoney(row.revenue),
+        deliveryCharged: roundMoney(row.deliveryCharged),
+    }));
+}
+
+// Customers who bought in the range, split by whether their first paid order falls in it.
+// Orders without a customer are counted as guests.
+async function customerSplit(clientID, range) {
+    const rows = await Order.aggregate([
+        { $match: { clientID, paid: true, exchangeFor: null, dateOrdered: { $lte: range.to } } },
+        {
+            $group: {
+                _id: '$customer',
+                firstOrder: { $min: '$dateOrdered' },
+                orders: {
+                    $sum: { $cond: [{ $gte: ['$dateOrdered', range.from] }, 1, 0] },
+                },
+                revenue: {
+                    $sum: { $cond: [{ $gte: ['$dateOrdered', range.from] }, orderRevenue, 0] },
+                },
+            },
+        },
+        { $match: { orders: { $gt: 0 } } },
+        {
+            $group: {
+                _id: {
+                    $cond: [
+                        { $eq: [{ $ifNull: ['$_id', null] }, null] },
+                        'guest',
+                        { $cond: [{ $gte: ['$firstOrder', range.from] }, 'new', 'returning'] },
+                    ],
+                },
+                customers: { $sum: 1 },
+                orders: { $sum: '$orders' },
+                revenue: { $sum: '$revenue' },
+            },
+        },
+    ]);
+
+    return ['new', 'returning', 'guest'].map(segment => {
+        const row = rows.find(entry => entry._id === segment);
+        return {
+            segment,
+            // Guest orders can't be told apart, so they have no customer count
+            customers: row && segment !== 'guest' ? row.customers : 0,
+            orders: row ? row.orders : 0,
+            revenue: row ? roundMoney(row.revenue) : 0,
+        };
+    });
+}
+
+module.exports = {
+    AnalyticsError,
+    INTERVALS,
+    parseRange,
+    salesOverTime,
+    topProducts,
+    topCategories,
+    discountUsage,
+    deliveryMix,
+    customerSplit,
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Product = require('../models/product');
+const { Cart } = require('../models/cart');
+const { OPTION_FIELDS, optionFieldsOf } = require('./variants');
+const { PricingError, priceOrder } = require('./pricing');
+const { createOrder } = require('./orders');
+const { settleFromStoreCredit } = require('./orderStatus');
+
+class CartError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CartError';
+        this.statusCode = statusCode;
+    }
+}
+
+// How long a restore link in a recovery email keeps working
+const RESTORE_LINK_TTL = '30d';
+
+const newCartToken = () => crypto.randomBytes(24).toString('hex');
+
+// What priceOrder needs from a cart line
+const toOrderLine = (item) => {
+    const line = { product: item.product, quantity: item.quantity, ...optionFieldsOf(item) };
+    if (item.sku) line.sku = String(item.sku);
+    return line;
+};
+
+// Same product with the same SKU, or the same options when either line has no SKU yet
+const isSameLine = (a, b) => String(a.product) === String(b.product)
+    && (a.sku && b.sku
+        ? String(a.sku) === String(b.sku)
+        : OPTION_FIELDS.every(field => (a[field] || '') === (b[field] || '')));
+
+async function createCart({ clientID, customer, email, items = [] }) {
+    const cart = new Cart({ clientID, customer, email, token: newCartToken() });
+    for (const item of items) {
+        if (!await Product.exists({ _id: item.product, clientID })) {
+            throw new CartError('Product not found', 404);
+        }
+        addLine(cart, item);
+    }
+    await repriceCart(cart);
+    return cart.save();
+}
+
+// Price the cart from the catalogue as it is now. Products that have been removed drop out
+// and a discount code that no longer applies is taken off, anything else wrong is an error.
+// Returns the discount code error when the code was removed.
+async function repriceCart(cart) {
+    const ids = cart.items.map(item => item.product);
+    const existing = await Product.find({ _id: { $in: ids }, clientID: cart.clientID }).select('_id');
+    cart.items = cart.items.filter(item => existing.some(product => String(product._id) === String(item.product)));
+
+    if (cart.items.length === 0) {
+        Object.assign(cart, { subtotal: 0, saleSavings: 0, discountAmount: 0, total: 0, pricedAt: new Date() });
+        return null;
+    }
+
+    const items = cart.items.map(toOrderLine);
+    let pricing;
+    let discountError = null;
+    try {
+        pricing = await priceOrder({ clientID: cart.clientID, items, discountCode: cart.discountCode });
+    } catch (error) {
+        if (!(error instanceof PricingError) || !cart.discountCode) throw error;
+        // Try again without the code, if that works it was the code that stopped applying
+        pricing = await priceOrder({ clientID: cart.clientID, items });
+        discountError = error.message;
+        cart.discountCode = undefined;
+    }
+
+    pricing.lines.forEach((line, index) => {
+        Object.assign(cart.items[index], {
+            // Lines picked by size, color... are tied to the SKU they resolved to
+            sku: line.sku ? String(line.sku._id) : cart.items[index].sku,
+            productName: line.productName,
+            options: line.options,
+            unitPrice: line.unitPrice,
+            discount: line.discount,
+            lineTotal: line.lineTotal,
+        });
+    });
+    Object.assign(cart, {
+        subtotal: pricing.subtotal,
+        saleSavings: pricing.saleSavings,
+        discountAmount: pricing.discountAmount,
+        total: pricing.total,
+        pricedAt: new Date(),
+    });
+    return discountError;
+}
+
+function addLine(cart, item) {
+    const quantity = parseInt(item.quantity, 10) || 1;
+    const existing = cart.items.find(line => isSameLine(line, item));
+    if (existing) {
+        existing.quantity += quantity;
+    } else {
+        cart.items.push({ ...toOrderLine(item), quantity });
+    }
+}
+
+function findLine(cart, itemId) {
+    const line = cart.items.id(itemId);
+    if (!line) {
+        throw new CartError('Item not found in cart', 404);
+    }
+    return line;
+}
+
+// Each change is priced before it's saved, so a cart never holds something that can't be bought.
+// Only changes count as activity, looking at the cart doesn't put off the recovery email.
+async function saveChange(cart) {
+    const discountError = await repriceCart(cart);
+    cart.lastActivityAt = new Date();
+    cart.recoveryEmailSentAt = undefined;
+    await cart.save();
+    return { cart, discountError };
+}
+
+async function addItem(cart, item) {
+    const product = await Product.exists({ _id: item.product, clientID: cart.clientID });
+    if (!product) {
+        throw new CartError('Product not found', 404);
+    }
+    addLine(cart, item);
+    return saveChange(cart);
+}
+
+// A quantity of 0 removes the line
+async function updateItem(cart, itemId, quantity) {
+    const line = findLine(cart, itemId);
+    const qty = parseInt(quantity, 10);
+    if (Number.isNaN(qty) || qty < 0) {
+        throw new CartError('Quantity must be 0 or more');
+    }
+    if (qty === 0) {
+        line.deleteOne();
+    } else {
+        line.quantity = qty;
+    }
+    return saveChange(cart);
+}
+
+async function removeItem(cart, itemId) {
+    findLine(cart, itemId).deleteOne();
+    return saveChange(cart);
+}
+
+// Unlike other changes, a code that doesn't apply is refused rather than dropped
+async function applyDiscount(cart, code) {
+    if (cart.items.length === 0) {
+        throw new CartError('Add something to the cart before using a discount code');
+    }
+    cart.discountCode = code;
+    await priceOrder({ clientID: cart.clientID, items: cart.items.map(toOrderLine), discountCode: code });
+    return saveChange(cart);
+}
+
+async function removeDiscount(cart) {
+    cart.discountCode = undefined;
+    return saveChange(cart);
+}
+
+// Turn the cart into an order, priced and stock-checked again by createOrder.
+// Anonymous carts check out as guests with contact: { name, email, phone }.
+// useStoreCredit pays from the customer's store credit first.
+async function checkoutCart(cart, { deliveryType, collectionPoint, address, postalCode, phone, contact, useStoreCredit, changedBy }) {
+    if (cart.items.length === 0) {
+        throw new CartError('The cart is empty');
+    }
+
+    // Claim the cart first so a second checkout running at the same time can't order it again
+    const claimed = await Cart.findOneAndUpdate({ _id: cart._id, status: 'active' }, { status: 'checking_out' });
+    if (!claimed) {
+        throw new CartError('This cart has already been checked out', 409);
+    }
+
+    let created;
+    try {
+        created = await createOrder({
+            clientID: cart.clientID,
+            items: cart.items.map(toOrderLine),
+            discountCode: cart.discountCode,
+            deliveryType,
+            collectionPoint,
+            address,
+            postalCode,
+            phone,
+            customer: cart.customer,
+            contact: cart.customer ? contact : { ...contact, email: (contact && contact.email) || cart.email },
+            useStoreCredit: Boolean(useStoreCredit && cart.customer),
+            changedBy,
+        });
+    } catch (error) {
+        // Nothing was ordered, the cart can be checked out again
+        await Cart.updateOne({ _id: cart._id, status: 'checking_out' }, { status: 'active' });
+        throw error;
+    }
+    const { order, pricing } = created;
+
+    cart.status = 'converted';
+    cart.order = order._id;
+    await cart.save();
+
+    await settleFromStoreCredit(order, { changedBy });
+    return { cart, order, pricing };
+}
+
+// Restore links are signed with the email secret so they can't be used as an API token
+function signRestoreToken(cart) {
+    return jwt.sign({ cartId: String(cart._id), clientID: cart.clientID }, process.env.emailSecret, { expiresIn: RESTORE_LINK_TTL });
+}
+
+async function findCartByRestoreToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token), process.env.emailSecret);
+    } catch (error) {
+        throw new CartError('Invalid or expired restore link');
+    }
+    const cart = await Cart.findOne({ _id: decoded.cartId, clientID: decoded.clientID, status: 'active' });
+    if (!cart) {
+        throw new CartError('This cart is no longer available', 404);
+    }
+    return cart;
+}
+
+function restoreUrl(client, cart) {
+    const base = String(client.storefrontUrl || '').replace(/\/+$/, '');
+    return `${base}/cart/restore?token=${encodeURIComponent(signRestoreToken(cart))}`;
+}
+
+module.exports = {
+    CartError,
+    createCart,
+    repriceCart,
+    addItem,
+    updateItem,
+    removeItem,
+    applyDiscount,
+    removeDiscount,
+    checkoutCart,
+    findCartByRestoreToken,
+    restoreUrl,
+};
@@ -0,0 +1,448 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { createObjectCsvStringifier } = require('csv-writer');
+const Product = require('../models/product');
+const { Category } = require('../models/category');
+const { TAX_CLASSES } = require('./tax');
+const { buildSkus, totalSkuStock } = require('./variants');
+const { recordInitialStock, recordProductEdit } = require('./inventory');
+const { toImage, imageUrl } = require('./images');
+
+class CatalogueError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CatalogueError';
+        this.statusCode = statusCode;
+    }
+}
+
+// One row per product, or per SKU for products with variants. Rows of the same product share
+// a handle: the product ID for products that exist, any text for new ones. Product columns
+// only need filling in on a product's first row.
+const CATALOGUE_COLUMNS = [
+    'handle',
+    'productName',
+    'description',
+    'richDescription',
+    'brand',
+    'category',
+    'price',
+    'salePercentage',
+    'countInStock',
+    'weight',
+    'taxClass',
+    'isFeatured',
+    'images',
+    'sku',
+    'options',
+    'skuPrice',
+    'skuStock',
+    'skuBarcode',
+    'skuWeight',
+    'skuImage',
+    'skuActive',
+];
+
+const SKU_COLUMNS = ['sku', 'options', 'skuPrice', 'skuStock', 'skuBarcode', 'skuWeight', 'skuImage', 'skuActive'];
+
+// images: "https://a.jpg|https://b.jpg", options: "Color=Red; Size=M"
+const IMAGE_SEPARATOR = '|';
+const OPTION_SEPARATOR = ';';
+
+const MAX_ROWS = 5000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const text = (value) => (isBlank(value) ? undefined : String(value).trim());
+
+// Headers are matched whatever their case or spacing, unknown columns are ignored
+function normaliseRow(raw) {
+    const row = {};
+    Object.keys(raw).forEach(header => {
+        const key = String(header).replace(/\s+/g, '').toLowerCase();
+        const column = CATALOGUE_COLUMNS.find(name => name.toLowerCase() === key);
+        if (column) row[column] = raw[header];
+    });
+    return row;
+}
+
+// The first sheet of a workbook as objects keyed by the header row, cells as the text they show
+async function readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    if (sheet.actualRowCount > MAX_ROWS + 1) {
+        throw new CatalogueError(`The file has more than ${MAX_ROWS} rows, split it up`);
+    }
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+        headers[column] = cell.text.trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((row, number) => {
+        if (number === 1) return;
+        const record = {};
+        headers.forEach((header, column) => {
+            if (header) record[header] = row.getCell(column).text.trim();
+        });
+        if (Object.values(record).some(value => value !== '')) rows.push(record);
+    });
+    return rows;
+}
+
+// Rows of a CSV or the first sheet of a spreadsheet
+async function readCatalogueFile(file) {
+    if (!file) {
+        throw new CatalogueError('A CSV or XLSX file is required');
+    }
+
+    const name = (file.originalname || '').toLowerCase();
+    let rows;
+    try {
+        if (name.endsWith('.csv') || file.mimetype === 'text/csv') {
+            rows = parse(file.buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+        } else if (name.endsWith('.xlsx')) {
+            rows = await readWorkbook(file.buffer);
+        } else {
+            throw new CatalogueError('The file must be a .csv or .xlsx file');
+        }
+    } catch (error) {
+        if (error instanceof CatalogueError) throw error;
+        throw new CatalogueError(`The file could not be read: ${error.message}`);
+    }
+
+    if (rows.length === 0) {
+        throw new CatalogueError('The file has no rows');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new CatalogueError(`The file has more than ${MAX_ROWS} rows, split it up`);
+    }
+    return rows.map(normaliseRow);
+}
+
+function parseOptions(value) {
+    return String(value)
+        .split(OPTION_SEPARATOR)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [name, ...rest] = part.split('=');
+            return { name: name.trim(), value: rest.join('=').trim() };
+        });
+}
+
+const formatOptions = (options) => options.map(option => `${option.name}=${option.value}`).join(`${OPTION_SEPARATOR} `);
+
+const isUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+};
+
+const toBoolean = (value) => ['true', 'yes', '1', 'y'].includes(String(value).trim().toLowerCase());
+
+// Checks one product's rows and turns them into a plan entry. Problems are pushed onto errors.
+function planProduct(handle, rows, { existing, categoriesByName, createCategories }, errors) {
+    const [first] = rows;
+    const fail = (row, column, message) => errors.push({ row: row.rowNumber, handle, column, message });
+    const number = (row, column, { integer = false, min = 0, max } = {}) => {
+        if (isBlank(row[column])) return undefined;
+        const value = Number(row[column]);
+        if (Number.isNaN(value) || value < min || (max !== undefined && value > max) || (integer && !Number.isInteger(value))) {
+            fail(row, column, `${column} must be a${integer ? ' whole' : ''} number from ${min}${max !== undefined ? ` to ${max}` : ''}`);
+            return undefined;
+        }
+        return value;
+    };
+
+    const fields = {
+        productName: text(first.productName),
+        description: text(first.description),
+        richDescription: text(first.richDescription),
+        brand: text(first.brand),
+        price: number(first, 'price'),
+        salePercentage: number(first, 'salePercentage', { max: 100 }),
+        countInStock: number(first, 'countInStock', { integer: true }),
+        weight: number(first, 'weight'),
+        taxClass: text(first.taxClass),
+        isFeatured: isBlank(first.isFeatured) ? undefined : toBoolean(first.isFeatured),
+    };
+
+    // New products need everything POST /products needs, updates only what they change
+    if (!existing) {
+        ['productName', 'description', 'price'].forEach(column => {
+            if (fields[column] === undefined && isBlank(first[column])) fail(first, column, `${column} is required`);
+        });
+        if (isBlank(first.category)) fail(first, 'category', 'category is required');
+    }
+    if (fields.price === 0) {
+        fail(first, 'price', 'price must be more than 0');
+    }
+    if (fields.taxClass && !TAX_CLASSES.includes(fields.taxClass)) {
+        fail(first, 'taxClass', `taxClass must be one of ${TAX_CLASSES.join(', ')}`);
+    }
+
+    const categoryName = text(first.category);
+    if (categoryName && !categoriesByName.has(categoryName.toLowerCase()) && !createCategories) {
+        fail(first, 'category', `There is no category called "${categoryName}"`);
+    }
+
+    let images;
+    if (!isBlank(first.images)) {
+        images = String(first.images).split(IMAGE_SEPARATOR).map(url => url.trim()).filter(Boolean);
+        images.filter(url => !isUrl(url)).forEach(url => fail(first, 'images', `"${url}" is not an image URL`));
+    }
+
+    // Every row with SKU columns is a SKU, and they all need the same attributes
+    const skuRows = rows.filter(row => SKU_COLUMNS.some(column => !isBlank(row[column])));
+    const skus = [];
+    const seen = new Set();
+    let attributeNames = null;
+    skuRows.forEach(row => {
+        const options = isBlank(row.options) ? [] : parseOptions(row.options);
+        if (options.length === 0 || options.some(option => !option.name || !option.value)) {
+            fail(row, 'options', 'options must look like "Color=Red; Size=M"');
+            return;
+        }
+        const names = options.map(option => option.name.toLowerCase()).sort().join('|');
+        if (attributeNames === null) attributeNames = names;
+        if (names !== attributeNames) {
+            fail(row, 'options', 'Every SKU of a product needs the same attributes');
+            return;
+        }
+        const key = options.map(option => `${option.name.toLowerCase()}=${option.value}`).sort().join('|');
+        if (seen.has(key)) {
+            fail(row, 'options', `${formatOptions(options)} is listed more than once`);
+            return;
+        }
+        seen.add(key);
+        if (!isBlank(row.skuImage) && !isUrl(String(row.skuImage).trim())) {
+            fail(row, 'skuImage', 'skuImage must be an image URL');
+        }
+
+        skus.push({
+            options,
+            code: text(row.sku),
+            price: number(row, 'skuPrice'),
+            stock: number(row, 'skuStock', { integer: true }),
+            barcode: text(row.skuBarcode),
+            weight: number(row, 'skuWeight'),
+            image: text(row.skuImage),
+            active: isBlank(row.skuActive) ? undefined : toBoolean(row.skuActive),
+        });
+    });
+
+    if (!existing && skus.length === 0 && fields.countInStock === undefined) {
+        fail(first, 'countInStock', 'countInStock is required for products without SKUs');
+    }
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return {
+        row: first.rowNumber,
+        handle,
+        productId: existing ? String(existing._id) : null,
+        fields,
+        categoryName,
+        images,
+        skus,
+    };
+}
+
+// Validate every row and work out what the import would do, without changing anything
+async function planImport(clientID, rows, { createCategories = false } = {}) {
+    const errors = [];
+    const groups = new Map();
+    rows.forEach((row, index) => {
+        // The header is row 1
+        const numbered = { ...row, rowNumber: index + 2 };
+        const handle = text(row.handle) || text(row.productName);
+        if (!handle) {
+            errors.push({ row: numbered.rowNumber, column: 'handle', message: 'Each row needs a handle or a productName' });
+            return;
+        }
+        groups.set(handle, [...(groups.get(handle) || []), numbered]);
+    });
+
+    const ids = [...groups.keys()].filter(handle => mongoose.isValidObjectId(handle));
+    const [existingProducts, categories] = await Promise.all([
+        Product.find({ _id: { $in: ids }, clientID }),
+        Category.find({ clientID }),
+    ]);
+    const categoriesByName = new Map(categories.map(category => [category.name.trim().toLowerCase(), category]));
+
+    const products = [];
+    groups.forEach((group, handle) => {
+        const existing = existingProducts.find(product => String(product._id) === handle) || null;
+        if (!existing && mongoose.isValidObjectId(handle)) {
+            errors.push({ row: group[0].rowNumber, handle, column: 'handle', message: `There is no product with ID ${handle}` });
+            return;
+        }
+        products.push(planProduct(handle, group, { existing, categoriesByName, createCategories }, errors));
+    });
+
+    const newCategories = [...new Set(products
+        .map(product => product.categoryName)
+        .filter(name => name && !categoriesByName.has(name.toLowerCase())))];
+
+    return {
+        products,
+        errors,
+        summary: {
+            rows: rows.length,
+            products: products.length,
+            create: products.filter(product => !product.productId).length,
+            update: products.filter(product => product.productId).length,
+            newCategories: createCategories ? newCategories : [],
+        },
+    };
+}
+
+// Variants made up from the SKUs' options, attributes and values in the order they first appear
+function variantsFromSkus(skus) {
+    const variants = [];
+    skus.forEach(sku => sku.options.forEach(option => {
+        let variant = variants.find(entry => entry.name.toLowerCase() === option.name.toLowerCase());
+        if (!variant) {
+            variant = { name: option.name, values: [] };
+            variants.push(variant);
+        }
+        if (!variant.values.some(entry => entry.value === option.value)) {
+            variant.values.push({ value: option.value, price: 0, stock: 0 });
+        }
+    }));
+    return variants;
+}
+
+// Categories by name, created when the import allows it
+async function resolveCategory(clientID, name, createCategories) {
+    const pattern = new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    const category = await Category.findOne({ clientID, name: pattern });
+    if (category || !createCategories) return category;
+    return new Category({ clientID, name: name.trim() }).save();
+}
+
+// Create or update the product of one plan entry. Returns { result: 'created' | 'updated', product }.
+async function applyPlanEntry(clientID, entry, { createCategories, user }) {
+    const category = entry.categoryName ? await resolveCategory(clientID, entry.categoryName, createCategories) : null;
+    if (entry.categoryName && !category) {
+        throw new CatalogueError(`There is no category called "${entry.categoryName}"`);
+    }
+
+    const overrides = entry.skus.map(sku => ({
+        ...sku,
+        options: Object.fromEntries(sku.options.map(option => [option.name, option.value])),
+    }));
+
+    if (entry.productId) {
+        const product = await Product.findOne({ _id: entry.productId, clientID });
+        if (!product) {
+            throw new CatalogueError(`There is no product with ID ${entry.productId}`, 404);
+        }
+        const before = product.toObject();
+        product.set(entry.fields);
+        if (category) product.category = category._id;
+        if (entry.images) {
+            // Images the product already has keep their renditions, new URLs wait for the backfill job
+            product.images = entry.images.map(url => product.images.find(image => imageUrl(image) === url) || toImage(url, product.productName));
+        }
+
+        // Without SKU rows the product keeps its variants and SKUs
+        if (entry.skus.length > 0) {
+            product.variants = variantsFromSkus(entry.skus);
+            product.skus = buildSkus({ _id: product._id, productName: product.productName, price: product.price, variants: product.variants, skus: before.skus }, overrides);
+        }
+        if (product.skus.length > 0) {
+            product.countInStock = totalSkuStock(product.skus);
+        }
+
+        await product.save();
+        await recordProductEdit(before, product, { user });
+        return { result: 'updated', product };
+    }
+
+    const productId = new mongoose.Types.ObjectId();
+    const variants = variantsFromSkus(entry.skus);
+    const skus = buildSkus({ _id: productId, productName: entry.fields.productName, price: entry.fields.price, variants }, overrides);
+    const product = await new Product({
+        _id: productId,
+        ...entry.fields,
+        category: category._id,
+        images: (entry.images || []).map(url => toImage(url, entry.fields.productName)),
+        countInStock: skus.length > 0 ? totalSkuStock(skus) : entry.fields.countInStock,
+        clientID,
+        variants,
+        skus,
+    }).save();
+    await recordInitialStock(product, { user });
+    return { result: 'created', product };
+}
+
+// The client's catalogue in the import format, so it can be edited and imported again
+async function exportCatalogue(clientID) {
+    const products = await Product.find({ clientID }).populate('category').sort({ createdAt: 1 });
+
+    return products.flatMap(product => {
+        const base = {
+            handle: String(product._id),
+            productName: product.productName,
+            description: product.description,
+            richDescription: product.richDescription,
+            brand: product.brand,
+            category: product.category ? product.category.name : '',
+            price: product.price,
+            salePercentage: product.salePercentage,
+            countInStock: product.countInStock,
+            weight: product.weight,
+            taxClass: product.taxClass,
+            isFeatured: product.isFeatured,
+            images: (product.images || []).map(image => imageUrl(image)).join(IMAGE_SEPARATOR),
+        };
+        if (!product.skus || product.skus.length === 0) {
+            return [base];
+        }
+        // Product columns on the first row only, the SKUs below it
+        return product.skus.map((sku, index) => ({
+            ...(index === 0 ? base : { handle: base.handle }),
+            sku: sku.code,
+            options: formatOptions(sku.options),
+            skuPrice: sku.price,
+            skuStock: sku.stock,
+            skuBarcode: sku.barcode,
+            skuWeight: sku.weight,
+            skuImage: sku.image,
+            skuActive: sku.active !== false,
+        }));
+    });
+}
+
+function toCsv(rows) {
+    const csvStringifier = createObjectCsvStringifier({
+        header: CATALOGUE_COLUMNS.map(id => ({ id, title: id })),
+    });
+    return csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(rows);
+}
+
+async function toXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = CATALOGUE_COLUMNS.map(key => ({ header: key, key }));
+    rows.forEach(row => sheet.addRow(row));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    CatalogueError,
+    CATALOGUE_COLUMNS,
+    readCatalogueFile,
+    planImport,
+    applyPlanEntry,
+    exportCatalogue,
+    toCsv,
+    toXlsx,
+};
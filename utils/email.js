@@ -1,101 +1,365 @@
-const nodemailer = require('nodemailer');
-const { OrderItem } = require('../models/orderItem');
-const Product = require('../models/product');
-
-// Function to send order confirmation email
-async function sendOrderConfirmationEmail(clientEmail, orderItems, bEmail, BEPass, shipping) {
-console.log(clientEmail,bEmail)
-    // Create a nodemailer transporter
-    const transporter = nodemailer.createTransport({
-        host: 'smtpout.secureserver.net', // GoDaddy SMTP server
-        port: 465, // GoDaddy SMTP port (465 or 587)
-        secure: true, // true for 465, false for other ports
-        auth: {
-            user: bEmail, // Your GoDaddy email address
-            pass: BEPass // Your GoDaddy email password
-        }
-    });
-
-    try {
-        console.log(orderItems);
-
-        // Function to populate the order items
-        async function populateOrderItems(orderItems) {
-            return Promise.all(orderItems.map(async item => {
-                // Populate the product field
-                const populatedItem = await Product.findById(item.product);
-                return {
-                    ...item,
-                    product: populatedItem
-                };
-            }));
-        }
-
-        // Populate the order items
-        const populatedOrderItems = await populateOrderItems(orderItems);
-        console.log(populatedOrderItems);
-
-        // Create the order items HTML
-        const orderItemsHtml = populatedOrderItems.map(item => `
-            <tr>
-                <td><img src="${item.product.images[0]}" alt="${item.product.productName}" style="height: 100px;"></td>
-                <td>${item.product.productName}</td>
-                <td>${item.quantity}</td>
-                <td>R${item.product.price}</td>
-                <td>R${item.quantity * item.product.price}</td>
-            </tr>`).join('');
-
-        // Calculate the total price
-        const totalPrice = populatedOrderItems.reduce((total, item) => total + (item.quantity * item.product.price), 0);
-
-        // Email HTML content
-        const emailContent = `
-            <p>Hi,</p>
-            <p>Thank you for your order. Here are the details:</p>
-            <table>
-                <thead>
-                    <tr>
-                        <th></th>
-                        <th>Product</th>
-                        <th>Quantity</th>
-                        <th>Price</th>
-                        <th>Total</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${orderItemsHtml}
-                </tbody>
-            </table>
-            <p>Subtotal: R${totalPrice}</p>
-            <p>Shipping: R${shipping}</p>
-            <p>Total Price: R${totalPrice + shipping}</p>
-        `;
-        console.log('about to send email');
-        // Send email to client
-        await transporter.sendMail({
-            from: bEmail, // Your GoDaddy email address
-            to: clientEmail, // Client's email address
-            subject: 'Order Confirmation',
-            html: emailContent
-        });
-
-        console.log('Order confirmation email sent to client successfully');
-
-        // Send email to business (yourself)
-        await transporter.sendMail({
-            from: bEmail, // Your GoDaddy email address
-            to: bEmail, // Business email (your email address)
-            subject: 'New Order Received',
-            html: emailContent // Reuse the same content
-        });
-
-        console.log('Order confirmation email sent to business successfully');
-
-    } catch (error) {
-        console.error('Error sending order confirmation email:', error);
-        throw error; // Throw error to handle it in the calling function
-    }
-}
- 
-
-module.exports = { sendOrderConfirmationEmail };
+const nodemailer = require('nodemailer');
+const { OrderItem } = require('../models/orderItem');
+const Product = require('../models/product');
+const { imageUrl } = require('./images');
+
+// Orders from before order numbers are referred to by their ID
+const orderNumberOf = (order) => order.orderNumber || String(order._id);
+
+// Create a nodemailer transporter for the client's business mailbox
+function createTransporter(bEmail, BEPass) {
+    return nodemailer.createTransport({
+        host: 'smtpout.secureserver.net', // GoDaddy SMTP server
+        port: 465, // GoDaddy SMTP port (465 or 587)
+        secure: true, // true for 465, false for other ports
+        auth: {
+            user: bEmail, // Your GoDaddy email address
+            pass: BEPass // Your GoDaddy email password
+        }
+    });
+}
+
+// Function to send order confirmation email.
+// Prices come from what was stored on the order when it was placed, not from the current catalogue.
+async function sendOrderConfirmationEmail(clientEmail, order, bEmail, BEPass, attachments = []) {
+    // Create a nodemailer transporter
+    const transporter = createTransporter(bEmail, BEPass);
+
+    try {
+        // Populate the order items and their products
+        const orderItems = await Promise.all(order.orderItems.map(async item => {
+            const orderItem = item.quantity !== undefined ? item : await OrderItem.findById(item);
+            const product = orderItem.product && orderItem.product.productName
+                ? orderItem.product
+                : await Product.findById(orderItem.product);
+            return { orderItem, product };
+        }));
+
+        // Create the order items HTML
+        const orderItemsHtml = orderItems.map(({ orderItem, product }) => {
+            // Orders placed before prices were stored fall back to the catalogue price
+            const unitPrice = orderItem.unitPrice !== undefined ? orderItem.unitPrice : (product && product.price) || 0;
+            const lineTotal = orderItem.lineTotal !== undefined ? orderItem.lineTotal : unitPrice * orderItem.quantity;
+            const name = orderItem.productName || (product ? product.productName : '');
+            const options = (orderItem.options || []).map(option => `${option.name}: ${option.value}`).join(', ');
+            const image = product && product.images && imageUrl(product.images[0], 'medium');
+
+            return `
+            <tr>
+                <td>${image ? `<img src="${image}" alt="${name}" style="height: 100px;">` : ''}</td>
+                <td>${name}${options ? `<br><small>${options}</small>` : ''}</td>
+                <td>${orderItem.quantity}</td>
+                <td>R${unitPrice.toFixed(2)}</td>
+                <td>R${lineTotal.toFixed(2)}</td>
+            </tr>`;
+        }).join('');
+
+        const breakdown = order.priceBreakdown || {};
+        const subtotal = breakdown.subtotal !== undefined ? breakdown.subtotal : order.totalPrice;
+        const discountAmount = order.discountAmount || 0;
+        const shipping = order.deliveryPrice || 0;
+        const total = order.finalPrice !== undefined ? order.finalPrice : subtotal - discountAmount + shipping;
+        const tax = order.tax && order.tax.tax ? order.tax : null;
+        const taxHtml = tax
+            ? `<p>${tax.pricesIncludeTax ? 'Includes VAT' : 'VAT'}: R${tax.tax.toFixed(2)}</p>`
+            : '';
+
+        // Email HTML content
+        const emailContent = `
+            <p>Hi,</p>
+            <p>Thank you for your order ${orderNumberOf(order)}. Here are the details:</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>Product</th>
+                        <th>Quantity</th>
+                        <th>Price</th>
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${orderItemsHtml}
+                </tbody>
+            </table>
+            <p>Subtotal: R${subtotal.toFixed(2)}</p>
+            ${discountAmount > 0 ? `<p>Discount${breakdown.discountCode ? ` (${breakdown.discountCode})` : ''}: -R${discountAmount.toFixed(2)}</p>` : ''}
+            <p>Shipping: R${shipping.toFixed(2)}</p>
+            ${taxHtml}
+            <p>Total Price: R${total.toFixed(2)}</p>
+        `;
+        // Send email to client
+        await transporter.sendMail({
+            from: bEmail, // Your GoDaddy email address
+            to: clientEmail, // Client's email address
+            subject: `Order Confirmation ${orderNumberOf(order)}`,
+            html: emailContent,
+            attachments
+        });
+
+        console.log('Order confirmation email sent to client successfully');
+
+        // Send email to business (yourself)
+        await transporter.sendMail({
+            from: bEmail, // Your GoDaddy email address
+            to: bEmail, // Business email (your email address)
+            subject: 'New Order Received',
+            html: emailContent, // Reuse the same content
+            attachments
+        });
+
+        console.log('Order confirmation email sent to business successfully');
+
+    } catch (error) {
+        console.error('Error sending order confirmation email:', error);
+        throw error; // Throw error to handle it in the calling function
+    }
+}
+ 
+
+// Function to let the customer know a refund has been issued
+async function sendRefundEmail(customerEmail, order, refund, bEmail, BEPass, attachments = []) {
+    const transporter = createTransporter(bEmail, BEPass);
+
+    try {
+        const fullyRefunded = order.refundStatus === 'full';
+        const emailContent = `
+            <p>Hi,</p>
+            <p>We have issued a ${fullyRefunded ? 'full' : 'partial'} refund of <strong>R${refund.amount.toFixed(2)}</strong> for your order ${orderNumberOf(order)}.</p>
+            <p>Reason: ${refund.reason}</p>
+            <p>Depending on your bank it can take a few working days for the money to reflect.</p>
+        `;
+
+        await transporter.sendMail({
+            from: bEmail,
+            to: customerEmail,
+            subject: 'Your refund has been processed',
+            html: emailContent,
+            attachments
+        });
+
+        console.log('Refund email sent to customer successfully');
+    } catch (error) {
+        console.error('Error sending refund email:', error);
+        throw error; // Throw error to handle it in the calling function
+    }
+}
+
+// What the customer is told when their order moves into each status
+const STATUS_MESSAGES = {
+    Processing: {
+        subject: 'We are preparing your order',
+        body: 'Good news, we have started preparing your order.',
+    },
+    Shipped: {
+        subject: 'Your order is on its way',
+        body: 'Your order has been shipped and is on its way to you.',
+    },
+    Delivered: {
+        subject: 'Your order has been delivered',
+        body: 'Your order has been delivered. We hope you enjoy it!',
+    },
+    Cancelled: {
+        subject: 'Your order has been cancelled',
+        body: 'Your order has been cancelled. If you did not expect this, please get in touch with us.',
+    },
+};
+
+// Function to let the customer know their order status changed
+async function sendOrderStatusEmail(customerEmail, order, status, bEmail, BEPass) {
+    const message = STATUS_MESSAGES[status];
+    if (!message) {
+        return;
+    }
+
+    const transporter = createTransporter(bEmail, BEPass);
+
+    try {
+        const trackingHtml = status === 'Shipped' && (order.orderTrackingLink || order.orderTrackingCode)
+            ? `<p>Tracking: ${order.orderTrackingLink ? `<a href="${order.orderTrackingLink}">${order.orderTrackingCode || 'Track your parcel'}</a>` : order.orderTrackingCode}</p>`
+            : '';
+
+        const emailContent = `
+            <p>Hi,</p>
+            <p>${message.body}</p>
+            <p>Order ${orderNumberOf(order)}</p>
+            ${trackingHtml}
+        `;
+
+        await transporter.sendMail({
+            from: bEmail,
+            to: customerEmail,
+            subject: message.subject,
+            html: emailContent
+        });
+
+        console.log(`Order ${status} email sent to customer successfully`);
+    } catch (error) {
+        console.error('Error sending order status email:', error);
+        throw error; // Throw error to handle it in the calling function
+    }
+}
+
+// What the customer is told about each shipment
+const SHIPMENT_MESSAGES = {
+    dispatched: {
+        subject: 'Your order is on its way',
+        body: 'A parcel from your order has been handed to the courier.',
+    },
+    delivered: {
+        subject: 'Your parcel has been delivered',
+        body: 'A parcel from your order has been delivered. We hope you enjoy it!',
+    },
+};
+
+// Function to let the customer know a shipment was dispatched or delivered
+async function sendShipmentEmail(customerEmail, order, shipment, event, bEmail, BEPass) {
+    const message = SHIPMENT_MESSAGES[event];
+    if (!message) {
+        return;
+    }
+
+    const transporter = createTransporter(bEmail, BEPass);
+
+    try {
+        const tracking = shipment.trackingUrl
+            ? `<a href="${shipment.trackingUrl}">${shipment.waybill || 'Track your parcel'}</a>`
+            : shipment.waybill;
+
+        const emailContent = `
+            <p>Hi,</p>
+            <p>${message.body}</p>
+            <p>Order ${orderNumberOf(order)}</p>
+            <p>Courier: ${shipment.carrier}</p>
+            ${tracking ? `<p>Tracking: ${tracking}</p>` : ''}
+        `;
+
+        await transporter.sendMail({
+            from: bEmail,
+            to: customerEmail,
+            subject: message.subject,
+            html: emailContent
+        });
+
+        console.log(`Shipment ${event} email sent to customer successfully`);
+    } catch (error) {
+        console.error('Error sending shipment email:', error);
+        throw error; // Throw error to handle it in the calling function
+    }
+}
+
+// Function to remind a customer about the items they left in their cart
+async function sendAbandonedCartEmail(customerEmail, cart, restoreUrl, companyName, bEmail, BEPass) {
+    const transporter = createTransporter(bEmail, BEPass);
+
+    try {
+        const itemsHtml = cart.items.map(item => {
+            const options = (item.options || []).map(option => `${option.name}: ${option.value}`).join(', ');
+            return `
+                <li>
+                    ${item.productName}${options ? ` (${options})` : ''} x ${item.quantity}
+                    - R${(item.lineTotal || 0).toFixed(2)}
+                </li>
+            `;
+        }).join('');
+
+        const emailContent = `
+            <p>Hi,</p>
+            <p>You left these items in your cart at ${companyName}:</p>
+            <ul>${itemsHtml}</ul>
+            <p>Total: R${cart.total.toFixed(2)}</p>
+            <p><a href="${restoreUrl}">Pick up where you left off</a></p>
+            <p>Prices and stock are checked again when you check out.</p>
+        `;
+
+        await transporter.sendMail({
+            from: bEmail,
+            to: customerEmail,
+            subject: 'You left something in your cart',
+            html: emailContent
+        });
+
+        console.log('Abandoned cart email sent to customer successfully');
+    } catch (error) {
+        console.error('Error sending abandoned cart email:', error);
+        throw error; // Throw error to handle it in the calling function
+    }
+}
+
+// What the customer is told at each step of a return
+const RETURN_MESSAGES = {
+    requested: {
+        subject: 'We have received your return request',
+        body: 'Thanks, we have received your return request and will let you know once it has been reviewed.',
+    },
+    approved: {
+        subject: 'Your return has been approved',
+        body: 'Your return has been approved. Please send the items back as described below.',
+    },
+    rejected: {
+        subject: 'Your return request was not approved',
+        body: 'Unfortunately we could not approve your return request.',
+    },
+    received: {
+        subject: 'We have received your returned items',
+        body: 'Your returned items have arrived and are being processed.',
+    },
+    completed: {
+        subject: 'Your return is complete',
+        body: 'Your return has been completed.',
+    },
+};
+
+const RESOLUTION_TEXT = {
+    refund: (amount) => `A refund of R${amount.toFixed(2)} has been issued to your original payment method.`,
+    store_credit: (amount) => `R${amount.toFixed(2)} has been added to your store credit.`,
+    exchange: () => 'Your replacement order has been placed and will be sent to you shortly.',
+};
+
+// Function to let the customer know where their return stands
+async function sendReturnEmail(customerEmail, order, returnRequest, event, bEmail, BEPass) {
+    const message = RETURN_MESSAGES[event];
+    if (!message) {
+        return;
+    }
+
+    const transporter = createTransporter(bEmail, BEPass);
+
+    try {
+        const details = [];
+        if (event === 'approved' && returnRequest.instructions) {
+            details.push(`<p>Return instructions:</p><p>${returnRequest.instructions.replace(/\n/g, '<br>')}</p>`);
+        }
+        if (event === 'rejected' && returnRequest.rejectionReason) {
+            details.push(`<p>Reason: ${returnRequest.rejectionReason}</p>`);
+        }
+        if (event === 'completed' && returnRequest.resolution && returnRequest.resolution.type) {
+            const { type, amount, storeCredit } = returnRequest.resolution;
+            details.push(`<p>${RESOLUTION_TEXT[type](amount)}</p>`);
+            if (type === 'exchange' && storeCredit) {
+                details.push(`<p>${RESOLUTION_TEXT.store_credit(storeCredit)}</p>`);
+            }
+        }
+
+        const emailContent = `
+            <p>Hi,</p>
+            <p>${message.body}</p>
+            <p>Order ${orderNumberOf(order)}, return #${returnRequest._id}</p>
+            ${details.join('')}
+        `;
+
+        await transporter.sendMail({
+            from: bEmail,
+            to: customerEmail,
+            subject: message.subject,
+            html: emailContent
+        });
+
+        console.log(`Return ${event} email sent to customer successfully`);
+    } catch (error) {
+        console.error('Error sending return email:', error);
+        throw error; // Throw error to handle it in the calling function
+    }
+}
+
+module.exports = { sendOrderConfirmationEmail, sendRefundEmail, sendOrderStatusEmail, sendShipmentEmail, sendAbandonedCartEmail, sendReturnEmail };
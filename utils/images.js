@@ -0,0 +1,177 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+const { StorageError, storeFile, deleteFiles, uniqueFileName } = require('./storage');
+
+// Image uploads we accept
+const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpg',
+    'image/webp': 'webp'
+};
+
+// Longest side in pixels of each rendition. Smaller originals are never enlarged.
+const IMAGE_SIZES = {
+    thumbnail: 200,
+    medium: 600,
+    large: 1200,
+};
+
+const QUALITY = 80;
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Addresses a download by URL must never reach: this network, loopback, private, carrier NAT,
+// link-local (cloud metadata lives there), multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Processed images are stored as
+//   { url, alt, width, height, variants: [{ name, format, url, width, height }] }
+// with url, width and height those of the large rendition. Records from before processing hold a
+// bare URL string, and images that couldn't be reprocessed an `error`, read them through imageUrl.
+const toImage = (value, alt = '') => (typeof value === 'string' ? { url: value, alt, variants: [] } : value);
+
+// The URL of an image or one of its renditions (thumbnail, medium, large), falling back to the
+// main URL for images without it. format 'webp' picks the WebP file.
+function imageUrl(image, name, format) {
+    if (!image) return undefined;
+    if (typeof image === 'string') return image;
+    const variants = image.variants || [];
+    const variant = name && variants.find(entry => entry.name === name && (!format || entry.format === format));
+    return variant ? variant.url : image.url;
+}
+
+// Every stored file of an image
+const imageFiles = (image) => (typeof image === 'string'
+    ? [image]
+    : [image && image.url, ...((image && image.variants) || []).map(variant => variant.url)].filter(Boolean));
+
+const isProcessed = (image) => Boolean(image && typeof image === 'object' && image.variants && image.variants.length > 0);
+
+// Resize to each rendition in the original's format (PNG stays PNG for transparency, the rest
+// become JPEG) and in WebP. EXIF orientation is applied first, then all metadata dropped.
+async function processImage(buffer, { name, alt = '' } = {}) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new StorageError('The file is not a readable image');
+    }
+
+    const format = metadata.format === 'png' ? 'png' : 'jpeg';
+    const base = uniqueFileName(String(name || 'image').replace(/\.[A-Za-z0-9]+$/, ''));
+    const variants = [];
+
+    try {
+        for (const [size, pixels] of Object.entries(IMAGE_SIZES)) {
+            const resized = sharp(buffer).rotate().resize({ width: pixels, height: pixels, fit: 'inside', withoutEnlargement: true });
+            const outputs = [
+                { format, pipeline: format === 'png' ? resized.clone().png({ compressionLevel: 9 }) : resized.clone().jpeg({ quality: QUALITY, mozjpeg: true }) },
+                { format: 'webp', pipeline: resized.clone().webp({ quality: QUALITY }) },
+            ];
+
+            for (const output of outputs) {
+                const { data, info } = await output.pipeline.toBuffer({ resolveWithObject: true });
+                const extension = output.format === 'jpeg' ? 'jpg' : output.format;
+                const url = await storeFile(`${base}-${size}.${extension}`, data, `image/${output.format}`);
+                variants.push({ name: size, format: output.format, url, width: info.width, height: info.height });
+            }
+        }
+    } catch (error) {
+        // Don't leave half an image behind
+        await deleteFiles(variants.map(variant => variant.url));
+        throw error;
+    }
+
+    const large = variants.find(variant => variant.name === 'large' && variant.format === format);
+    return { url: large.url, alt, width: large.width, height: large.height, variants };
+}
+
+// Process an uploaded image (a multer memory-storage file)
+async function storeImage(file, { alt } = {}) {
+    if (!IMAGE_TYPES[file.mimetype]) {
+        throw new StorageError('Invalid file type');
+    }
+    return processImage(file.buffer, { name: file.originalname, alt });
+}
+
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// dns.lookup that refuses names resolving to a private address. It runs when the connection is
+// made, so a name can't pass a check and then resolve somewhere else.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new StorageError(`${hostname} is not a public address`));
+        }
+        callback(null, addresses);
+    });
+}
+
+// An http(s) URL on a public host. IP addresses are checked here, they are never looked up.
+function checkImageUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new StorageError(`${url} is not an image URL`);
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) {
+        throw new StorageError(`${url} is not a public address`);
+    }
+    return parsed;
+}
+
+// Process an image already online, for images saved before processing and imported by URL.
+// These URLs come from merchants, so only public hosts are fetched, redirects included.
+async function processImageUrl(url, { alt } = {}) {
+    const { pathname } = checkImageUrl(url);
+
+    let location = url;
+    for (let redirects = 0; ; redirects += 1) {
+        const response = await axios.get(location, {
+            responseType: 'arraybuffer',
+            timeout: 30000,
+            maxContentLength: MAX_DOWNLOAD_BYTES,
+            maxRedirects: 0,
+            lookup: publicLookup,
+            validateStatus: status => status >= 200 && status < 400,
+        });
+
+        if (response.status < 300) {
+            const name = decodeURIComponent(pathname.split('/').pop() || 'image');
+            return processImage(Buffer.from(response.data), { name, alt });
+        }
+        if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+            throw new StorageError(`${url} redirects too often or nowhere`);
+        }
+        location = checkImageUrl(new URL(response.headers.location, location).href).href;
+    }
+}
+
+// Delete every stored file of the images, see deleteFiles
+async function deleteImages(images) {
+    return deleteFiles((images || []).flatMap(imageFiles));
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    IMAGE_SIZES,
+    toImage,
+    imageUrl,
+    imageFiles,
+    isProcessed,
+    processImage,
+    storeImage,
+    processImageUrl,
+    deleteImages,
+};
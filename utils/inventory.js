@@ -0,0 +1,488 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { OrderItem } = require('../models/orderItem');
+const { Order } = require('../models/order');
+const { InventoryMovement } = require('../models/inventoryMovement');
+const { findSelectedOptions, findSku } = require('./variants');
+
+// How long unpaid orders keep their stock
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 30;
+// Orders paid by EFT wait for the money to clear, which takes days rather than minutes
+const MANUAL_RESERVATION_TTL_HOURS = parseInt(process.env.MANUAL_RESERVATION_TTL_HOURS, 10) || 120;
+
+class InventoryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'InventoryError';
+        this.statusCode = statusCode;
+    }
+}
+
+class InsufficientStockError extends InventoryError {
+    constructor(message, statusCode = 409) {
+        super(message, statusCode);
+        this.name = 'InsufficientStockError';
+    }
+}
+
+// Run fn inside a transaction, or inside the caller's if a session was passed
+async function runInTransaction(fn, session) {
+    if (session) return fn(session);
+
+    const ownSession = await mongoose.startSession();
+    try {
+        return await ownSession.withTransaction(() => fn(ownSession));
+    } finally {
+        await ownSession.endSession();
+    }
+}
+
+const productIdOf = (item) => (item.product && item.product._id ? item.product._id : item.product);
+
+// Build a $inc that moves countInStock and the stock of the line's SKU, or of each chosen
+// variant value on products without SKUs, together
+function buildStockUpdate(product, item, quantity) {
+    const update = { $inc: { countInStock: quantity } };
+    const arrayFilters = [];
+
+    const sku = findSku(product, item);
+    if (sku) {
+        update.$inc['skus.$[s].stock'] = quantity;
+        arrayFilters.push({ 's._id': sku._id });
+        return { update, arrayFilters };
+    }
+
+    findSelectedOptions(product, item)
+        .filter(selection => selection.option)
+        .forEach(({ variant, option }, index) => {
+            update.$inc[`variants.$[v${index}].values.$[o${index}].stock`] = quantity;
+            arrayFilters.push({ [`v${index}._id`]: variant._id }, { [`o${index}._id`]: option._id });
+        });
+
+    return { update, arrayFilters };
+}
+
+// Only match the product when it and the SKU or every chosen variant value have enough left
+function buildAvailabilityFilter(product, item, quantity) {
+    const filter = { _id: product._id, countInStock: { $gte: quantity } };
+
+    const sku = findSku(product, item);
+    if (sku) {
+        filter.skus = { $elemMatch: { _id: sku._id, stock: { $gte: quantity } } };
+        return filter;
+    }
+
+    const conditions = findSelectedOptions(product, item)
+        .filter(selection => selection.option)
+        .map(({ variant, option }) => ({
+            variants: { $elemMatch: { _id: variant._id, values: { $elemMatch: { _id: option._id, stock: { $gte: quantity } } } } },
+        }));
+
+    if (conditions.length > 0) {
+        filter.$and = conditions;
+    }
+    return filter;
+}
+
+const variantEntry = (variant, option) => ({
+    variantId: variant._id,
+    name: variant.name,
+    valueId: option._id,
+    value: option.value,
+});
+
+const skuEntry = (sku) => ({ skuId: sku._id, code: sku.code });
+
+// Ledger entries for a change made through buildStockUpdate: one for countInStock
+// and one for the SKU or each variant value it touched
+function buildMovements(product, item, delta, { reason, order, user, note }) {
+    const base = { clientID: product.clientID, product: product._id, delta, reason, order, user, note };
+    const sku = findSku(product, item);
+    if (sku) {
+        return [base, { ...base, sku: skuEntry(sku) }];
+    }
+    return [
+        base,
+        ...findSelectedOptions(product, item)
+            .filter(selection => selection.option)
+            .map(({ variant, option }) => ({ ...base, variant: variantEntry(variant, option) })),
+    ];
+}
+
+async function recordMovements(movements, session) {
+    if (movements.length === 0) return [];
+    return InventoryMovement.insertMany(movements, { session });
+}
+
+// Take stock for order lines in one go. Pass a session to make it part of a transaction,
+// any line that can't be filled throws and the transaction puts the others back.
+// lines: [{ product, item, quantity }] where item carries the SKU or the chosen options (size, color...)
+async function reserveStock(lines, { session, order, user } = {}) {
+    for (const { product: productOrId, item, quantity } of lines) {
+        const product = productOrId && productOrId.variants && productOrId.skus
+            ? productOrId
+            : await Product.findById(productOrId).session(session || null);
+        if (!product) {
+            throw new InsufficientStockError(`Product not found: ${productOrId}`, 404);
+        }
+
+        const { update, arrayFilters } = buildStockUpdate(product, item, -quantity);
+        const result = await Product.updateOne(
+            buildAvailabilityFilter(product, item, quantity),
+            update,
+            { arrayFilters, session }
+        );
+
+        if (result.modifiedCount === 0) {
+            throw new InsufficientStockError(`Not enough stock for ${product.productName}`);
+        }
+
+        await recordMovements(buildMovements(product, item, -quantity, { reason: 'sale', order, user }), session);
+    }
+}
+
+// Put the given quantity of an order item back into product and SKU or variant stock.
+// reason is 'cancellation', 'refund' or 'return'.
+async function restockOrderItem(orderItem, quantity, { session, reason, order, user, note } = {}) {
+    const productId = productIdOf(orderItem);
+    const product = await Product.findById(productId).session(session || null);
+    if (!product) {
+        console.error(`Product not found: ${productId}`);
+        return;
+    }
+
+    const { update, arrayFilters } = buildStockUpdate(product, orderItem, quantity);
+    await Product.updateOne({ _id: product._id }, update, { arrayFilters, session });
+    await recordMovements(buildMovements(product, orderItem, quantity, { reason, order, user, note }), session);
+}
+
+function reservationExpiry(from = new Date()) {
+    return new Date(from.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000);
+}
+
+function manualReservationExpiry(from = new Date()) {
+    return new Date(from.getTime() + MANUAL_RESERVATION_TTL_HOURS * 60 * 60 * 1000);
+}
+
+// Order items may be populated or just IDs
+async function loadOrderItems(order, session) {
+    const populated = order.orderItems.filter(item => item && item.quantity !== undefined);
+    if (populated.length === order.orderItems.length) {
+        return populated;
+    }
+    return OrderItem.find({ _id: { $in: order.orderItems } }).session(session || null);
+}
+
+// Payment came in, the held stock is now sold. A payment that arrives after the hold
+// expired takes the stock again if there is still some.
+async function commitReservation(order, { session } = {}) {
+    const status = order.reservation && order.reservation.status;
+    // Orders from before reservations have none, their stock was taken when they were placed
+    if (!status || status === 'committed') return;
+
+    if (status === 'released') {
+        const orderItems = await loadOrderItems(order, session);
+        try {
+            const lines = orderItems.map(item => ({ product: productIdOf(item), item, quantity: item.quantity }));
+            await runInTransaction(txSession => reserveStock(lines, { session: txSession, order: order._id, user: 'system' }), session);
+        } catch (error) {
+            if (!(error instanceof InsufficientStockError)) throw error;
+            console.error(`Order ${order._id} was paid after its stock was released and could not be filled: ${error.message}`);
+            return;
+        }
+    }
+
+    order.reservation.status = 'committed';
+    order.reservation.expiresAt = undefined;
+}
+
+// Give an order's stock back, on cancellation or when an unpaid hold expires.
+// The stored order is marked released here, the document passed in is updated to match.
+async function releaseReservation(order, { session, user = 'system' } = {}) {
+    const status = order.reservation && order.reservation.status;
+    if (status !== 'held' && status !== 'committed') return;
+
+    const releasedAt = new Date();
+    await runInTransaction(async (txSession) => {
+        // Claimed first, so a cancellation, the sweeper and a delete racing each other restock once
+        const claimed = await Order.updateOne(
+            { _id: order._id, 'reservation.status': { $in: ['held', 'committed'] } },
+            { $set: { 'reservation.status': 'released', 'reservation.releasedAt': releasedAt } },
+            { session: txSession }
+        );
+        if (claimed.modifiedCount === 0) return;
+
+        const orderItems = await loadOrderItems(order, txSession);
+        for (const orderItem of orderItems) {
+            const quantity = orderItem.quantity - (orderItem.refundedQuantity || 0);
+            if (quantity > 0) {
+                await restockOrderItem(orderItem, quantity, { session: txSession, reason: 'cancellation', order: order._id, user });
+            }
+        }
+    }, session);
+
+    order.reservation.status = 'released';
+    order.reservation.releasedAt = releasedAt;
+}
+
+// The variant value a manual change or stocktake line is about, by value ID or by name and value
+function findVariantValue(product, { valueId, variant, value }) {
+    for (const entry of product.variants || []) {
+        for (const option of entry.values) {
+            const matches = valueId
+                ? String(option._id) === String(valueId)
+                : entry.name.toLowerCase() === String(variant).toLowerCase() && option.value === String(value);
+            if (matches) return { variant: entry, option };
+        }
+    }
+    throw new InventoryError(`${product.productName} has no variant value ${valueId || `${variant} "${value}"`}`, 404);
+}
+
+async function loadProduct(clientID, productId, session) {
+    if (!mongoose.isValidObjectId(productId)) {
+        throw new InventoryError(`Invalid product ID: ${productId}`);
+    }
+    const product = await Product.findOne({ _id: productId, clientID }).session(session || null);
+    if (!product) {
+        throw new InventoryError(`Product not found: ${productId}`, 404);
+    }
+    return product;
+}
+
+// The SKU a manual change or stocktake line is about, by ID or code
+function findTargetSku(product, target) {
+    const sku = findSku(product, { sku: target.sku });
+    if (!sku) {
+        throw new InventoryError(`${product.productName} has no SKU ${target.sku}`, 404);
+    }
+    return sku;
+}
+
+// Move a SKU's stock and the product's total with it
+async function moveSkuStock(product, sku, delta, { session, reason, user, note }) {
+    const filter = { _id: product._id };
+    if (delta < 0) {
+        filter.skus = { $elemMatch: { _id: sku._id, stock: { $gte: -delta } } };
+    }
+    const result = await Product.updateOne(
+        filter,
+        { $inc: { countInStock: delta, 'skus.$[s].stock': delta } },
+        { arrayFilters: [{ 's._id': sku._id }], session }
+    );
+    if (result.modifiedCount === 0) {
+        throw new InsufficientStockError(`Stock of ${product.productName} ${sku.code} can't go below zero`);
+    }
+
+    const base = { clientID: product.clientID, product: product._id, delta, reason, user, note };
+    const [, movement] = await recordMovements([base, { ...base, sku: skuEntry(sku) }], session);
+    return movement;
+}
+
+// Move one stock figure, the product's countInStock, a SKU or a single variant value, by delta.
+// target: { sku }, { valueId } or { variant, value }, leave them all out for countInStock.
+async function moveStock(product, target, delta, { session, reason, user, note }) {
+    if (target.sku) {
+        return moveSkuStock(product, findTargetSku(product, target), delta, { session, reason, user, note });
+    }
+
+    const selection = target.valueId || target.variant ? findVariantValue(product, target) : null;
+    const filter = { _id: product._id };
+    const update = { $inc: {} };
+    const options = { session };
+
+    if (selection) {
+        update.$inc['variants.$[v].values.$[o].stock'] = delta;
+        options.arrayFilters = [{ 'v._id': selection.variant._id }, { 'o._id': selection.option._id }];
+        if (delta < 0) {
+            filter.variants = { $elemMatch: { _id: selection.variant._id, values: { $elemMatch: { _id: selection.option._id, stock: { $gte: -delta } } } } };
+        }
+    } else {
+        update.$inc.countInStock = delta;
+        if (delta < 0) {
+            filter.countInStock = { $gte: -delta };
+        }
+    }
+
+    const result = await Product.updateOne(filter, update, options);
+    if (result.modifiedCount === 0) {
+        throw new InsufficientStockError(`Stock of ${product.productName} can't go below zero`);
+    }
+
+    const [movement] = await recordMovements([{
+        clientID: product.clientID,
+        product: product._id,
+        variant: selection ? variantEntry(selection.variant, selection.option) : undefined,
+        delta,
+        reason,
+        user,
+        note,
+    }], session);
+    return movement;
+}
+
+// Manual correction, e.g. damaged or found stock
+async function adjustStock({ clientID, product: productId, sku, valueId, variant, value, delta, reason = 'adjustment', user, note }) {
+    const change = Number(delta);
+    if (!Number.isInteger(change) || change === 0) {
+        throw new InventoryError('Delta must be a non-zero whole number');
+    }
+
+    return runInTransaction(async (session) => {
+        const product = await loadProduct(clientID, productId, session);
+        return moveStock(product, { sku, valueId, variant, value }, change, { session, reason, user, note });
+    });
+}
+
+// Set stock to what was counted. Every line is applied in one transaction, so a bad line
+// leaves the stock as it was.
+// rows: [{ product, sku | valueId | variant + value, quantity }]
+async function applyStocktake({ clientID, rows, user, note }) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new InventoryError('Stocktake has no lines');
+    }
+
+    return runInTransaction(async (session) => {
+        const results = [];
+        for (const [index, row] of rows.entries()) {
+            const counted = Number(row.quantity);
+            if (!Number.isInteger(counted) || counted < 0) {
+                throw new InventoryError(`Line ${index + 1}: quantity must be a non-negative whole number`);
+            }
+
+            const product = await loadProduct(clientID, row.product, session);
+            let previous = product.countInStock;
+            if (row.sku) {
+                previous = findTargetSku(product, row).stock;
+            } else if (row.valueId || row.variant) {
+                previous = findVariantValue(product, row).option.stock;
+            }
+            const delta = counted - previous;
+
+            if (delta !== 0) {
+                await moveStock(product, row, delta, { session, reason: 'stocktake', user, note });
+            }
+            results.push({ product: product._id, sku: row.sku, variant: row.variant, value: row.value, valueId: row.valueId, previous, counted, delta });
+        }
+        return results;
+    });
+}
+
+// Opening balance for a new product
+async function recordInitialStock(product, { user } = {}) {
+    const base = { clientID: product.clientID, product: product._id, reason: 'initial', user };
+    const movements = [{ ...base, delta: product.countInStock }];
+    (product.variants || []).forEach(variant => variant.values.forEach(option => {
+        movements.push({ ...base, variant: variantEntry(variant, option), delta: option.stock });
+    }));
+    (product.skus || []).forEach(sku => {
+        movements.push({ ...base, sku: skuEntry(sku), delta: sku.stock });
+    });
+    return recordMovements(movements.filter(movement => movement.delta));
+}
+
+// A product edit can overwrite countInStock, SKU and variant stock outright, record the difference.
+// Values are matched by variant name and value because the edit form sends them without IDs,
+// SKUs keep their IDs across edits.
+async function recordProductEdit(before, after, { user } = {}) {
+    const base = { clientID: after.clientID, product: after._id, reason: 'adjustment', user, note: 'Product edited' };
+    const movements = [];
+
+    if (after.countInStock !== before.countInStock) {
+        movements.push({ ...base, delta: after.countInStock - before.countInStock });
+    }
+
+    const valuesByKey = (product) => {
+        const values = new Map();
+        (product.variants || []).forEach(variant => variant.values.forEach(option => {
+            values.set(`${variant.name}:${option.value}`, { variant, option });
+        }));
+        return values;
+    };
+    const previous = valuesByKey(before);
+    const current = valuesByKey(after);
+
+    current.forEach(({ variant, option }, key) => {
+        const old = previous.get(key);
+        const delta = option.stock - (old ? old.option.stock : 0);
+        if (delta) movements.push({ ...base, variant: variantEntry(variant, option), delta });
+    });
+    previous.forEach(({ variant, option }, key) => {
+        if (!current.has(key) && option.stock) {
+            movements.push({ ...base, variant: variantEntry(variant, option), delta: -option.stock });
+        }
+    });
+
+    const skusById = (product) => new Map((product.skus || []).map(sku => [String(sku._id), sku]));
+    const previousSkus = skusById(before);
+    const currentSkus = skusById(after);
+    currentSkus.forEach((sku, id) => {
+        const old = previousSkus.get(id);
+        const delta = sku.stock - (old ? old.stock : 0);
+        if (delta) movements.push({ ...base, sku: skuEntry(sku), delta });
+    });
+    previousSkus.forEach((sku, id) => {
+        if (!currentSkus.has(id) && sku.stock) {
+            movements.push({ ...base, sku: skuEntry(sku), delta: -sku.stock });
+        }
+    });
+
+    return recordMovements(movements);
+}
+
+// Replay the ledger for a product and compare it with the stock on the product
+async function auditStock(clientID, productId) {
+    const product = await loadProduct(clientID, productId);
+    const totals = await InventoryMovement.aggregate([
+        { $match: { clientID, product: product._id } },
+        {
+            $group: {
+                _id: { valueId: { $ifNull: ['$variant.valueId', null] }, skuId: { $ifNull: ['$sku.skuId', null] } },
+                total: { $sum: '$delta' },
+                movements: { $sum: 1 },
+            },
+        },
+    ]);
+    const totalFor = (valueId, skuId = null) => {
+        const entry = totals.find(total => String(total._id.valueId) === String(valueId) && String(total._id.skuId) === String(skuId));
+        return entry ? entry.total : 0;
+    };
+
+    const lines = [{ variant: null, value: null, expected: totalFor(null), actual: product.countInStock }];
+    (product.variants || []).forEach(variant => variant.values.forEach(option => {
+        lines.push({ variant: variant.name, value: option.value, valueId: option._id, expected: totalFor(option._id), actual: option.stock });
+    }));
+    (product.skus || []).forEach(sku => {
+        lines.push({ sku: sku.code, skuId: sku._id, expected: totalFor(null, sku._id), actual: sku.stock });
+    });
+
+    const discrepancies = lines
+        .map(line => ({ ...line, difference: line.actual - line.expected }))
+        .filter(line => line.difference !== 0);
+
+    return {
+        product: product._id,
+        movements: totals.reduce((count, total) => count + total.movements, 0),
+        lines,
+        discrepancies,
+        balanced: discrepancies.length === 0,
+    };
+}
+
+module.exports = {
+    RESERVATION_TTL_MINUTES,
+    MANUAL_RESERVATION_TTL_HOURS,
+    InventoryError,
+    InsufficientStockError,
+    runInTransaction,
+    reserveStock,
+    restockOrderItem,
+    reservationExpiry,
+    manualReservationExpiry,
+    commitReservation,
+    releaseReservation,
+    adjustStock,
+    applyStocktake,
+    recordInitialStock,
+    recordProductEdit,
+    auditStock,
+};
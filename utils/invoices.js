@@ -0,0 +1,301 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/invoice');
+const Client = require('../models/client');
+const { nextSequence } = require('../models/counter');
+const { roundMoney } = require('./pricing');
+const { taxSettingsFor, rateFor, calculateTax } = require('./tax');
+const { orderContact } = require('./orders');
+const { runInTransaction } = require('./inventory');
+
+const NUMBER_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+
+function formatNumber(type, sequence) {
+    return `${NUMBER_PREFIXES[type]}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Invoice lines show prices as they were entered, total is always what the customer paid
+function taxedLine(fields, amount, rate, pricesIncludeTax) {
+    const { net, tax, gross } = calculateTax(amount, rate, pricesIncludeTax);
+    return { ...fields, total: gross, vatRate: rate, vatAmount: tax, netAmount: net };
+}
+
+// The tax split stored on the order item, or worked out with the client's current
+// settings for orders placed before tax was stored
+function invoiceLineFor(orderItem, settings) {
+    const unitPrice = orderItem.unitPrice !== undefined ? orderItem.unitPrice : orderItem.product.price;
+    const lineTotal = orderItem.lineTotal !== undefined ? orderItem.lineTotal : roundMoney(unitPrice * orderItem.quantity);
+    const fields = {
+        orderItem: orderItem._id,
+        description: orderItem.productName || orderItem.product.productName,
+        options: (orderItem.options || []).map(option => `${option.name}: ${option.value}`).join(', '),
+        quantity: orderItem.quantity,
+        unitPrice,
+        discount: orderItem.discount || 0,
+    };
+
+    if (orderItem.grossTotal !== undefined) {
+        return { ...fields, total: orderItem.grossTotal, vatRate: orderItem.taxRate, vatAmount: orderItem.taxAmount, netAmount: orderItem.netTotal };
+    }
+    const taxClass = orderItem.product && orderItem.product.taxClass;
+    return taxedLine(fields, lineTotal, rateFor(settings, taxClass), settings.pricesIncludeTax);
+}
+
+function deliveryLine(amount, settings) {
+    return taxedLine({ description: 'Delivery', quantity: 1, unitPrice: amount }, amount, rateFor(settings, 'standard'), settings.pricesIncludeTax);
+}
+
+// The client's tax settings as they were when the order was placed
+function orderTaxSettings(order, client) {
+    const settings = taxSettingsFor(client);
+    if (order.tax && order.tax.registered !== undefined) {
+        settings.registered = order.tax.registered;
+        settings.pricesIncludeTax = order.tax.pricesIncludeTax;
+    }
+    return settings;
+}
+
+function totalsFor(lines) {
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+    const vatAmount = roundMoney(lines.reduce((sum, line) => sum + line.vatAmount, 0));
+    return { total, vatAmount, netAmount: roundMoney(total - vatAmount) };
+}
+
+function sellerFor(client, settings) {
+    return {
+        companyName: client.companyName,
+        vatRegistered: settings.registered,
+        vatNumber: client.vatNumber,
+        address: client.address,
+        email: client.businessEmail,
+    };
+}
+
+function buyerFor(order) {
+    const { name, email } = orderContact(order);
+    return {
+        name,
+        email,
+        address: order.address,
+        postalCode: order.postalCode,
+        phone: order.phone,
+    };
+}
+
+async function populateOrder(order) {
+    if (!order.populated('customer')) await order.populate('customer');
+    await order.populate({ path: 'orderItems', populate: { path: 'product', select: 'productName price' } });
+}
+
+// The number is taken in the same transaction as the insert, so a document that already exists
+// or loses a race to a duplicate never uses one up and the numbers stay without gaps
+async function saveDocument(fields, existingFilter) {
+    return runInTransaction(async (session) => {
+        const existing = await Invoice.findOne(existingFilter).session(session);
+        if (existing) return existing;
+
+        const sequence = await nextSequence(fields.clientID, fields.type, { session });
+        const invoice = new Invoice({ ...fields, sequence, number: formatNumber(fields.type, sequence) });
+        return invoice.save({ session });
+    });
+}
+
+// The invoice for a paid order, issued the first time it's asked for
+async function issueInvoice(order) {
+    const existing = await Invoice.findOne({ order: order._id, type: 'invoice' });
+    if (existing) return existing;
+
+    await populateOrder(order);
+    const client = await Client.findOne({ clientID: order.clientID });
+    const settings = orderTaxSettings(order, client);
+
+    const itemLines = order.orderItems.map(orderItem => invoiceLineFor(orderItem, settings));
+    const lines = order.deliveryPrice > 0 ? [...itemLines, deliveryLine(order.deliveryPrice, settings)] : itemLines;
+
+    try {
+        return await saveDocument({
+            clientID: order.clientID,
+            type: 'invoice',
+            order: order._id,
+            orderNumber: order.orderNumber,
+            issuedAt: order.paidAt || new Date(),
+            seller: sellerFor(client, settings),
+            buyer: buyerFor(order),
+            lines,
+            subtotal: roundMoney(itemLines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)),
+            discountAmount: order.discountAmount || 0,
+            deliveryPrice: order.deliveryPrice || 0,
+            ...totalsFor(lines),
+        }, { order: order._id, type: 'invoice' });
+    } catch (error) {
+        // Issued at the same time by another request
+        if (error.code === 11000) {
+            return Invoice.findOne({ order: order._id, type: 'invoice' });
+        }
+        throw error;
+    }
+}
+
+// A credit note mirroring a refund. Refunded lines are credited at what was paid for them,
+// anything on top (or a refund without lines) is credited as a single adjustment line.
+// Refund amounts include tax, so they are split at the rate of the line they credit.
+async function issueCreditNote(refund, order) {
+    const existing = await Invoice.findOne({ refund: refund._id, type: 'credit_note' });
+    if (existing) return existing;
+
+    const invoice = await issueInvoice(order);
+    const client = await Client.findOne({ clientID: order.clientID });
+    const settings = orderTaxSettings(order, client);
+
+    const lines = refund.items.map(item => {
+        const invoiceLine = invoice.lines.find(line => String(line.orderItem) === String(item.orderItem));
+        return taxedLine({
+            orderItem: item.orderItem,
+            description: invoiceLine.description,
+            options: invoiceLine.options,
+            quantity: item.quantity,
+            unitPrice: roundMoney(item.amount / item.quantity),
+        }, item.amount, invoiceLine.vatRate, true);
+    });
+    const credited = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+    if (refund.amount - credited > 0.001) {
+        const amount = roundMoney(refund.amount - credited);
+        lines.push(taxedLine({
+            description: lines.length > 0 ? 'Refund adjustment' : 'Refund',
+            quantity: 1,
+            unitPrice: amount,
+        }, amount, rateFor(settings, 'standard'), true));
+    }
+
+    try {
+        return await saveDocument({
+            clientID: order.clientID,
+            type: 'credit_note',
+            order: order._id,
+            orderNumber: order.orderNumber,
+            refund: refund._id,
+            invoice: invoice._id,
+            seller: sellerFor(client, settings),
+            buyer: invoice.buyer,
+            lines,
+            subtotal: refund.amount,
+            reason: refund.reason,
+            ...totalsFor(lines),
+        }, { refund: refund._id, type: 'credit_note' });
+    } catch (error) {
+        if (error.code === 11000) {
+            return Invoice.findOne({ refund: refund._id, type: 'credit_note' });
+        }
+        throw error;
+    }
+}
+
+const money = (amount) => `R${amount.toFixed(2)}`;
+
+// Render an invoice or credit note to a PDF buffer
+function renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const title = invoice.type === 'credit_note'
+            ? 'CREDIT NOTE'
+            : (invoice.seller.vatRegistered ? 'TAX INVOICE' : 'INVOICE');
+        const { seller, buyer } = invoice;
+
+        // Seller and document details
+        doc.fontSize(18).text(seller.companyName || '', 50, 50);
+        doc.fontSize(9);
+        if (seller.address) doc.text(seller.address);
+        if (seller.email) doc.text(seller.email);
+        if (seller.vatRegistered && seller.vatNumber) doc.text(`VAT number: ${seller.vatNumber}`);
+
+        doc.fontSize(16).text(title, 350, 50, { align: 'right' });
+        doc.fontSize(9)
+            .text(`Number: ${invoice.number}`, { align: 'right' })
+            .text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`, { align: 'right' })
+            .text(`Order: ${invoice.orderNumber || invoice.order}`, { align: 'right' });
+
+        // Buyer
+        doc.moveDown(3);
+        doc.x = 50;
+        doc.fontSize(10).text('Bill to', { underline: true });
+        doc.fontSize(9);
+        [buyer.name, buyer.email, buyer.phone, buyer.address, buyer.postalCode]
+            .filter(Boolean)
+            .forEach(line => doc.text(String(line)));
+        if (invoice.reason) {
+            doc.moveDown().text(`Reason: ${invoice.reason}`);
+        }
+
+        // Lines
+        const columns = [
+            { label: 'Description', x: 50, width: 200 },
+            { label: 'Qty', x: 255, width: 35, align: 'right' },
+            { label: 'Unit price', x: 295, width: 70, align: 'right' },
+            { label: 'Discount', x: 370, width: 60, align: 'right' },
+            { label: 'VAT', x: 435, width: 50, align: 'right' },
+            { label: 'Total', x: 490, width: 55, align: 'right' },
+        ];
+        const row = (values, y) => columns.forEach((column, index) => {
+            doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+        });
+
+        doc.moveDown(2);
+        let y = doc.y;
+        doc.font('Helvetica-Bold');
+        row(columns.map(column => column.label), y);
+        doc.font('Helvetica');
+        y += 18;
+
+        invoice.lines.forEach(line => {
+            const description = line.options ? `${line.description}\n${line.options}` : line.description;
+            row([
+                description,
+                String(line.quantity),
+                money(line.unitPrice),
+                line.discount ? money(line.discount) : '',
+                money(line.vatAmount),
+                money(line.total),
+            ], y);
+            y = Math.max(doc.y, y + 14) + 4;
+            if (y > 740) {
+                doc.addPage();
+                y = 50;
+            }
+        });
+
+        // Totals
+        y += 10;
+        const total = (label, amount) => {
+            doc.text(label, 370, y, { width: 115, align: 'right' });
+            doc.text(amount, 490, y, { width: 55, align: 'right' });
+            y += 14;
+        };
+        if (invoice.type === 'invoice') {
+            total('Subtotal', money(invoice.subtotal));
+            if (invoice.discountAmount) total('Discount', `-${money(invoice.discountAmount)}`);
+            if (invoice.deliveryPrice) total('Delivery', money(invoice.deliveryPrice));
+        }
+        total('Total excl. VAT', money(invoice.netAmount));
+        total('VAT', money(invoice.vatAmount));
+        doc.font('Helvetica-Bold');
+        total(invoice.type === 'credit_note' ? 'Total credited' : 'Total', money(invoice.total));
+        doc.font('Helvetica');
+
+        doc.end();
+    });
+}
+
+// Email attachment for an invoice or credit note
+async function pdfAttachment(invoice) {
+    return {
+        filename: `${invoice.number}.pdf`,
+        content: await renderPdf(invoice),
+        contentType: 'application/pdf',
+    };
+}
+
+module.exports = { issueInvoice, issueCreditNote, renderPdf, pdfAttachment };
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { Order, ORDER_STATUSES, LEGACY_STATUSES } = require('../models/order');
+
+class OrderQueryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'OrderQueryError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ?sort= values and the Order field each one sorts on
+const SORT_FIELDS = {
+    date: 'dateOrdered',
+    total: 'finalPrice',
+    status: 'status',
+};
+
+// Query parameters of searchOrders, see isSearchQuery
+const SEARCH_PARAMS = ['status', 'paid', 'customer', 'from', 'to', 'minTotal', 'maxTotal', 'q', 'sort', 'order', 'limit', 'cursor'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new OrderQueryError(`${name} must be a date`);
+    }
+    return date;
+}
+
+function parseAmount(value, name) {
+    const amount = Number(value);
+    if (Number.isNaN(amount)) {
+        throw new OrderQueryError(`${name} must be a number`);
+    }
+    return amount;
+}
+
+// Filter from the GET /orders query string, always scoped to the client
+function buildOrderFilter(clientID, query) {
+    const filter = { clientID };
+
+    if (query.status) {
+        const statuses = String(query.status).split(',');
+        const unknown = statuses.find(status => !ORDER_STATUSES.includes(status));
+        if (unknown) {
+            throw new OrderQueryError(`Unknown order status: ${unknown}`);
+        }
+        // Orders saved before the lifecycle was enforced may still hold an old name
+        const legacy = Object.keys(LEGACY_STATUSES).filter(name => statuses.includes(LEGACY_STATUSES[name]));
+        filter.status = { $in: [...statuses, ...legacy] };
+    }
+
+    if (query.paid !== undefined) {
+        filter.paid = query.paid === 'true';
+    }
+
+    if (query.customer) {
+        if (!mongoose.isValidObjectId(query.customer)) {
+            throw new OrderQueryError('Invalid customer ID');
+        }
+        filter.customer = query.customer;
+    }
+
+    if (query.from || query.to) {
+        filter.dateOrdered = {};
+        if (query.from) filter.dateOrdered.$gte = parseDate(query.from, 'from');
+        if (query.to) filter.dateOrdered.$lte = parseDate(query.to, 'to');
+    }
+
+    if (query.minTotal !== undefined || query.maxTotal !== undefined) {
+        filter.finalPrice = {};
+        if (query.minTotal !== undefined) filter.finalPrice.$gte = parseAmount(query.minTotal, 'minTotal');
+        if (query.maxTotal !== undefined) filter.finalPrice.$lte = parseAmount(query.maxTotal, 'maxTotal');
+    }
+
+    // Free text matches the order number, address, phone number or guest contact, or the order ID exactly
+    if (query.q) {
+        const text = String(query.q).trim();
+        const pattern = new RegExp(escapeRegex(text), 'i');
+        filter.$or = [{ orderNumber: pattern }, { address: pattern }, { phone: pattern }, { 'contact.name': pattern }, { 'contact.email': pattern }];
+        if (mongoose.isValidObjectId(text)) {
+            filter.$or.push({ _id: new mongoose.Types.ObjectId(text) });
+        }
+    }
+
+    return filter;
+}
+
+// ?sort=date|total|status and ?order=asc|desc, newest first by default.
+// _id breaks ties so the cursor is stable.
+function buildSort(query) {
+    const key = query.sort || 'date';
+    const field = SORT_FIELDS[key];
+    if (!field) {
+        throw new OrderQueryError(`Sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    const direction = query.order === 'asc' ? 1 : -1;
+    return { field, direction, sort: { [field]: direction, _id: direction } };
+}
+
+// The cursor carries the sort value and ID of the last order on the page
+function encodeCursor(order, field) {
+    const value = order[field];
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        id: String(order._id),
+    })).toString('base64url');
+}
+
+function cursorFilter(cursor, field, direction) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+        throw new OrderQueryError('Invalid cursor');
+    }
+    if (!decoded || !mongoose.isValidObjectId(decoded.id)) {
+        throw new OrderQueryError('Invalid cursor');
+    }
+
+    const value = decoded.d ? new Date(decoded.v) : decoded.v;
+    const id = new mongoose.Types.ObjectId(decoded.id);
+    const operator = direction === 1 ? '$gt' : '$lt';
+    return {
+        $or: [
+            { [field]: { [operator]: value } },
+            { [field]: value, _id: { [operator]: id } },
+        ],
+    };
+}
+
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_LIMIT;
+    const limit = parseInt(value, 10);
+    if (!limit || limit < 1) {
+        throw new OrderQueryError('limit must be a positive number');
+    }
+    return Math.min(limit, MAX_LIMIT);
+}
+
+// GET /orders without any of these is a caller from before paging, it gets a plain array
+const isSearchQuery = (query) => SEARCH_PARAMS.some(param => query[param] !== undefined);
+
+// One page of a client's orders plus the count of everything matching the filters
+async function searchOrders(clientID, query) {
+    const filter = buildOrderFilter(clientID, query);
+    const { field, direction, sort } = buildSort(query);
+    const limit = parseLimit(query.limit);
+
+    const pageFilter = query.cursor
+        ? { $and: [filter, cursorFilter(query.cursor, field, direction)] }
+        : filter;
+
+    const [orders, totalCount] = await Promise.all([
+        Order.find(pageFilter)
+            .populate('customer', 'customerFirstName emailAddress phoneNumber')
+            .populate('orderItems')
+            .sort(sort)
+            .limit(limit + 1),
+        Order.countDocuments(filter),
+    ]);
+
+    const hasMore = orders.length > limit;
+    const page = hasMore ? orders.slice(0, limit) : orders;
+
+    return {
+        orders: page,
+        totalCount,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+        hasMore,
+    };
+}
+
+module.exports = { OrderQueryError, SORT_FIELDS, buildOrderFilter, isSearchQuery, searchOrders };
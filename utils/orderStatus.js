@@ -0,0 +1,132 @@
+const { Order, ORDER_STATUSES, LEGACY_STATUSES } = require('../models/order');
+const Client = require('../models/client');
+const Customer = require('../models/customer');
+const { releaseReservation, commitReservation } = require('./inventory');
+const { issueInvoice, pdfAttachment } = require('./invoices');
+const { sendOrderConfirmationEmail, sendOrderStatusEmail } = require('./email');
+const { orderContact } = require('./orders');
+
+// Pending → Paid → Processing → Shipped → Delivered, with Cancelled and Refunded off to the side
+const TRANSITIONS = {
+    Pending: ['Paid', 'Cancelled'],
+    Paid: ['Processing', 'Cancelled', 'Refunded'],
+    Processing: ['Shipped', 'Cancelled', 'Refunded'],
+    Shipped: ['Delivered', 'Refunded'],
+    Delivered: ['Refunded'],
+    Cancelled: ['Refunded'],
+    Refunded: [],
+};
+
+class OrderStatusError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'OrderStatusError';
+        this.statusCode = statusCode;
+    }
+}
+
+const normaliseStatus = (status) => LEGACY_STATUSES[status] || status;
+
+function canTransition(from, to) {
+    const allowed = TRANSITIONS[normaliseStatus(from)] || [];
+    return allowed.includes(to);
+}
+
+// The invoice goes out with the confirmation, but a failed invoice must not hold the email back
+async function invoiceAttachments(order) {
+    try {
+        return [await pdfAttachment(await issueInvoice(order))];
+    } catch (error) {
+        console.error(`Error issuing invoice for order ${order._id}:`, error);
+        return [];
+    }
+}
+
+// Customer notification for each status the order moves into.
+// Refunded has none here, the refund itself emails the amount.
+const hooks = {
+    Paid: async (order, client, email) => sendOrderConfirmationEmail(
+        email,
+        order,
+        client.businessEmail,
+        client.businessEmailPassword,
+        await invoiceAttachments(order)
+    ),
+    Processing: (order, client, email) => sendOrderStatusEmail(email, order, 'Processing', client.businessEmail, client.businessEmailPassword),
+    Shipped: (order, client, email) => sendOrderStatusEmail(email, order, 'Shipped', client.businessEmail, client.businessEmailPassword),
+    Delivered: (order, client, email) => sendOrderStatusEmail(email, order, 'Delivered', client.businessEmail, client.businessEmailPassword),
+    Cancelled: (order, client, email) => sendOrderStatusEmail(email, order, 'Cancelled', client.businessEmail, client.businessEmailPassword),
+};
+
+async function runHooks(order, status) {
+    const hook = hooks[status];
+    if (!hook) return;
+
+    // The status change has been saved, a failed email must not undo it
+    try {
+        if (!order.populated('customer')) await order.populate('customer');
+        if (!order.populated('orderItems')) await order.populate('orderItems');
+        const { email } = orderContact(order);
+        if (!email) return;
+
+        const client = await Client.findOne({ clientID: order.clientID });
+        if (client) {
+            await hook(order, client, email);
+        }
+    } catch (error) {
+        console.error(`Error running ${status} hooks for order ${order._id}:`, error);
+    }
+}
+
+// Give the customer back the store credit a cancelled order was paid with, only ever once
+async function returnStoreCredit(order) {
+    if (!(order.storeCredit > 0) || !order.customer) return;
+
+    const returnedAt = new Date();
+    const claimed = await Order.updateOne({ _id: order._id, storeCreditReturnedAt: null }, { $set: { storeCreditReturnedAt: returnedAt } });
+    if (claimed.modifiedCount === 0) return;
+
+    await Customer.updateOne({ _id: order.customer._id || order.customer }, { $inc: { storeCredit: order.storeCredit } });
+    order.storeCreditReturnedAt = returnedAt;
+}
+
+// Move an order to a new status, recording who did it, then notify the customer.
+// Pass notify: false when the caller sends its own email, e.g. shipment updates.
+async function transitionOrder(order, to, { changedBy, note, notify = true } = {}) {
+    if (!ORDER_STATUSES.includes(to)) {
+        throw new OrderStatusError(`Unknown order status: ${to}`, 400);
+    }
+
+    const from = normaliseStatus(order.status);
+    if (!canTransition(from, to)) {
+        throw new OrderStatusError(`Cannot change order status from ${from} to ${to}`);
+    }
+
+    // Cancelled orders give their stock and store credit back
+    if (to === 'Cancelled') {
+        await releaseReservation(order, { user: changedBy });
+        await returnStoreCredit(order);
+    }
+
+    order.status = to;
+    order.statusHistory.push({ from, to, changedBy, note, changedAt: new Date() });
+    await order.save();
+
+    if (notify) {
+        await runHooks(order, to);
+    }
+    return order;
+}
+
+// Orders store credit paid in full have nothing for a gateway to take, they're paid straight away
+async function settleFromStoreCredit(order, { changedBy } = {}) {
+    if (order.paid || order.finalPrice > 0 || !(order.storeCredit > 0)) return order;
+
+    order.paid = true;
+    order.paidAt = new Date();
+    order.paymentReference = 'STORE-CREDIT';
+    await commitReservation(order);
+    return transitionOrder(order, 'Paid', { changedBy, note: 'Paid with store credit' });
+}
+
+module.exports = { TRANSITIONS, OrderStatusError, canTransition, transitionOrder, settleFromStoreCredit };
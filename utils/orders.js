@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const { Order } = require('../models/order');
+const { OrderItem } = require('../models/orderItem');
+const Client = require('../models/client');
+const Customer = require('../models/customer');
+const { nextSequence } = require('../models/counter');
+const { priceOrder, withDelivery, withStoreCredit, roundMoney, claimDiscountCode, claimStoreCredit, toPriceBreakdown, toOrderItemPricing } = require('./pricing');
+const { priceDelivery } = require('./shipping');
+const { applyTax, taxSettingsFor } = require('./tax');
+const { reserveStock, reservationExpiry, runInTransaction } = require('./inventory');
+const { optionFieldsOf } = require('./variants');
+
+class OrderError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'OrderError';
+        this.statusCode = statusCode;
+    }
+}
+
+// KC-10023 for a client with prefix KC, just 10023 without one
+function formatOrderNumber(client, sequence) {
+    const start = client && typeof client.orderNumberStart === 'number' ? client.orderNumberStart : 10000;
+    const number = start + sequence;
+    return client && client.orderNumberPrefix ? `${client.orderNumberPrefix}-${number}` : String(number);
+}
+
+// Query for an order given either its number or its ID
+function orderReferenceFilter(reference) {
+    const value = String(reference).trim();
+    return mongoose.isValidObjectId(value) ? { _id: value } : { orderNumber: value.toUpperCase() };
+}
+
+// Who to contact about an order: the customer account, or the details a guest checked out with.
+// order.customer has to be populated for account orders.
+function orderContact(order) {
+    const customer = order.customer;
+    if (customer && customer.emailAddress) {
+        return {
+            name: [customer.customerFirstName, customer.customerLastName].filter(Boolean).join(' '),
+            email: customer.emailAddress,
+            phone: (order.contact && order.contact.phone) || order.phone,
+        };
+    }
+    const contact = order.contact || {};
+    return { name: contact.name, email: contact.email, phone: contact.phone || order.phone };
+}
+
+// The contact stored on a new order. Account orders copy the customer's details,
+// guests have to give at least a name and an email address.
+async function resolveContact({ clientID, customer, contact, phone }) {
+    const given = contact || {};
+    if (customer) {
+        if (!mongoose.isValidObjectId(customer)) {
+            throw new OrderError('Invalid customer ID');
+        }
+        const account = await Customer.findOne({ _id: customer, clientID });
+        if (!account) {
+            throw new OrderError('Customer not found', 404);
+        }
+        return {
+            name: [account.customerFirstName, account.customerLastName].filter(Boolean).join(' '),
+            email: account.emailAddress.toLowerCase(),
+            phone: given.phone || phone,
+        };
+    }
+
+    if (!given.name || !given.email) {
+        throw new OrderError('Guest orders need a contact name and email address');
+    }
+    return {
+        name: String(given.name).trim(),
+        email: String(given.email).trim().toLowerCase(),
+        phone: given.phone || phone,
+    };
+}
+
+// Give a customer the guest orders placed with their email address
+async function linkGuestOrders(customer) {
+    const result = await Order.updateMany(
+        { clientID: customer.clientID, customer: null, 'contact.email': customer.emailAddress.toLowerCase() },
+        { customer: customer._id }
+    );
+    return result.modifiedCount;
+}
+
+// Price an order, take its stock and save it. The discount code use, the store credit, the stock
+// and the order are written in one transaction so a failure on any line leaves nothing behind.
+// useStoreCredit pays what it can from the customer's store credit, only pass it for the customer's own requests.
+async function createOrder({ clientID, items, discountCode, deliveryType, collectionPoint, address, postalCode, phone, customer, contact, useStoreCredit, changedBy }) {
+    const contactDetails = await resolveContact({ clientID, customer, contact, phone });
+
+    // Prices come from the catalogue and the store's shipping setup, never from the request
+    const cart = await priceOrder({ clientID, items, discountCode });
+    const delivery = await priceDelivery({
+        clientID,
+        lines: cart.lines,
+        subtotal: roundMoney(cart.subtotal - cart.discountAmount),
+        postalCode,
+        deliveryType,
+        collectionPoint,
+    });
+    const client = await Client.findOne({ clientID });
+    let pricing = applyTax(withDelivery(cart, delivery.price), taxSettingsFor(client));
+    if (useStoreCredit && customer) {
+        const account = await Customer.findOne({ _id: customer, clientID }).select('storeCredit');
+        pricing = withStoreCredit(pricing, account && account.storeCredit);
+    }
+
+    // The ID is needed up front so the stock movements can point at the order.
+    // The number is taken outside the transaction so orders don't queue on the counter,
+    // an order that then fails leaves a gap in the numbers.
+    const orderId = new mongoose.Types.ObjectId();
+    const orderNumber = formatOrderNumber(client, await nextSequence(clientID, 'order'));
+
+    const order = await runInTransaction(async (session) => {
+        if (pricing.discount) {
+            await claimDiscountCode(pricing.discount, { session });
+        }
+        if (pricing.storeCredit > 0) {
+            await claimStoreCredit(customer, pricing.storeCredit, { session });
+        }
+
+        await reserveStock(pricing.lines.map(line => ({
+            product: line.product,
+            item: line.item,
+            quantity: line.quantity,
+        })), { session, order: orderId, user: changedBy });
+
+        // Create OrderItem documents with their price snapshot
+        const orderItems = await OrderItem.insertMany(pricing.lines.map(line => ({
+            quantity: line.quantity,
+            product: line.product._id,
+            // Lines with a SKU are identified by it, the loose values are only for products without
+            ...(line.sku ? {} : optionFieldsOf(line.item)),
+            ...toOrderItemPricing(line),
+        })), { session });
+
+        const newOrder = new Order({
+            _id: orderId,
+            orderNumber,
+            orderItems: orderItems.map(item => item._id),
+            address,
+            postalCode,
+            phone,
+            status: 'Pending',
+            statusHistory: [{ to: 'Pending', changedBy }],
+            totalPrice: pricing.subtotal,
+            discountAmount: pricing.discountAmount,
+            checkoutCode: pricing.discount ? pricing.discount._id : undefined,
+            finalPrice: pricing.total,
+            storeCredit: pricing.storeCredit || 0,
+            priceBreakdown: toPriceBreakdown(pricing),
+            tax: pricing.tax,
+            reservation: { status: 'held', expiresAt: reservationExpiry() },
+            customer,
+            contact: contactDetails,
+            deliveryPrice: pricing.deliveryPrice,
+            deliveryType: delivery.method,
+            collectionPoint: delivery.collectionPoint,
+            clientID,
+        });
+        await newOrder.save({ session });
+        return newOrder;
+    });
+
+    return { order, pricing };
+}
+
+module.exports = { OrderError, createOrder, formatOrderNumber, orderReferenceFilter, orderContact, linkGuestOrders };
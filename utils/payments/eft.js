@@ -0,0 +1,42 @@
+const PaymentError = require('./paymentError');
+
+// Manual EFT: the customer pays into the merchant's account and the merchant confirms it by hand
+async function createPayment({ order, config }) {
+    if (!config.accountNumber) {
+        throw new PaymentError('EFT banking details are not configured for this client');
+    }
+
+    return {
+        instructions: {
+            bankName: config.bankName,
+            accountName: config.accountName,
+            accountNumber: config.accountNumber,
+            branchCode: config.branchCode,
+            accountType: config.accountType,
+            // Older orders have no number, the end of their ID does instead
+            reference: order.orderNumber || order._id.toString().slice(-8).toUpperCase(),
+        },
+    };
+}
+
+function getCallbackReference() {
+    throw new PaymentError('EFT payments are confirmed by the merchant, not by callback', 404);
+}
+
+async function verifyCallback() {
+    throw new PaymentError('EFT payments are confirmed by the merchant, not by callback', 404);
+}
+
+// The money goes back by the merchant's own bank transfer, we only record it
+async function refund() {
+    return { status: 'completed' };
+}
+
+module.exports = {
+    name: 'eft',
+    manualConfirmation: true,
+    createPayment,
+    getCallbackReference,
+    verifyCallback,
+    refund,
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const PaymentError = require('./paymentError');
+
+// Local stand-in gateway for development and tests. Nothing leaves the server: in sandbox mode
+// createPayment hands back ready-signed callback bodies that can be posted to /payments/callback/fake.
+// Only available with ENABLE_FAKE_PAYMENTS=true and FAKE_PAYMENT_SECRET set, outside production.
+const isEnabled = () => process.env.ENABLE_FAKE_PAYMENTS === 'true'
+    && process.env.NODE_ENV !== 'production'
+    && Boolean(process.env.FAKE_PAYMENT_SECRET);
+
+function secretFor() {
+    if (!process.env.FAKE_PAYMENT_SECRET) {
+        throw new PaymentError('FAKE_PAYMENT_SECRET is not configured', 500);
+    }
+    return process.env.FAKE_PAYMENT_SECRET;
+}
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret)
+    .update(`${body.paymentId}.${body.transactionId}.${body.status}.${body.amount}`)
+    .digest('hex');
+
+function buildCallback(payment, status) {
+    const body = {
+        paymentId: payment._id.toString(),
+        transactionId: `fake_${crypto.randomBytes(8).toString('hex')}`,
+        status,
+        amount: payment.amount.toFixed(2),
+    };
+    body.signature = sign(body, secretFor());
+    return body;
+}
+
+async function createPayment({ payment, config }) {
+    const checkout = {
+        providerReference: `fake_checkout_${payment._id}`,
+        callbackUrl: `${process.env.API_URL}/payments/callback/fake`,
+    };
+    if (config.mode === 'sandbox') {
+        checkout.simulate = {
+            paid: buildCallback(payment, 'paid'),
+            failed: buildCallback(payment, 'failed'),
+        };
+    }
+    return checkout;
+}
+
+function getCallbackReference(req) {
+    const payload = req.body || {};
+    return { paymentId: payload.paymentId, providerPaymentId: payload.transactionId };
+}
+
+async function verifyCallback({ req }) {
+    const payload = req.body || {};
+    if (!payload.signature || payload.signature !== sign(payload, secretFor())) {
+        throw new PaymentError('Invalid signature');
+    }
+
+    return {
+        status: ['paid', 'failed', 'cancelled'].includes(payload.status) ? payload.status : 'pending',
+        amount: parseFloat(payload.amount),
+        providerPaymentId: payload.transactionId,
+    };
+}
+
+async function refund() {
+    return { status: 'completed', providerReference: `fake_refund_${crypto.randomBytes(8).toString('hex')}` };
+}
+
+module.exports = {
+    name: 'fake',
+    isEnabled,
+    createPayment,
+    getCallbackReference,
+    verifyCallback,
+    refund,
+};
@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/payment');
+const PaymentNotification = require('../../models/paymentNotification');
+const { Order } = require('../../models/order');
+const Client = require('../../models/client');
+const { canTransition, transitionOrder } = require('../orderStatus');
+const { commitReservation, manualReservationExpiry } = require('../inventory');
+const PaymentError = require('./paymentError');
+
+const adapters = {
+    payfast: require('./payfast'),
+    yoco: require('./yoco'),
+    ozow: require('./ozow'),
+    eft: require('./eft'),
+};
+
+// The stand-in gateway marks orders paid on request, so it only exists where it is switched on
+// explicitly and never in production
+const fake = require('./fake');
+if (fake.isEnabled()) {
+    adapters.fake = fake;
+}
+
+const PROVIDERS = Object.keys(adapters);
+
+function getAdapter(name) {
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new PaymentError(`Unknown payment provider: ${name}`, 404);
+    }
+    return adapter;
+}
+
+// Tenants set up before providers were pluggable only have PayFast, configured on Client itself
+function getProviderSettings(client) {
+    if (client.paymentProviders && client.paymentProviders.length > 0) {
+        return client.paymentProviders;
+    }
+    return [{ provider: 'payfast', enabled: true, mode: client.payfastMode || 'live', config: {} }];
+}
+
+function getProviderConfig(client, name) {
+    const settings = getProviderSettings(client).find(entry => entry.provider === name && entry.enabled);
+    if (!settings) {
+        throw new PaymentError(`Payment provider ${name} is not enabled for this client`);
+    }
+    return { ...(settings.config || {}), mode: settings.mode || 'live' };
+}
+
+function getDefaultProvider(client) {
+    const settings = getProviderSettings(client).find(entry => entry.enabled);
+    if (!settings) {
+        throw new PaymentError('No payment provider is enabled for this client');
+    }
+    return settings.provider;
+}
+
+// Amounts arrive as strings or floats, allow for a cent of rounding
+function amountsMatch(postedAmount, expectedAmount) {
+    const posted = parseFloat(postedAmount);
+    if (Number.isNaN(posted) || typeof expectedAmount !== 'number') {
+        return false;
+    }
+    return Math.abs(posted - expectedAmount) < 0.01;
+}
+
+// Start a payment for an order with one of the tenant's enabled providers
+async function createPayment({ order, client, provider, customer }) {
+    if (order.paid) {
+        throw new PaymentError('Order has already been paid', 409);
+    }
+    if (typeof order.finalPrice !== 'number' || order.finalPrice <= 0) {
+        throw new PaymentError('Order has no payable amount');
+    }
+
+    const name = provider || getDefaultProvider(client);
+    const adapter = getAdapter(name);
+    const config = getProviderConfig(client, name);
+
+    const payment = new Payment({
+        order: order._id,
+        clientID: order.clientID,
+        provider: name,
+        mode: config.mode,
+        amount: order.finalPrice,
+    });
+
+    const checkout = await adapter.createPayment({ payment, order, client, config, customer });
+    payment.providerReference = checkout.providerReference;
+    payment.checkout = checkout;
+    await payment.save();
+
+    // The reservation sweeper would cancel the order long before a bank transfer clears
+    if (adapter.manualConfirmation && order.reservation && order.reservation.status === 'held') {
+        order.reservation.expiresAt = manualReservationExpiry();
+        await order.save();
+    }
+
+    return { payment, checkout };
+}
+
+// Checkouts started before payments were recorded only carry an order ID, so the payment is created here
+async function findPaymentForCallback(provider, reference) {
+    if (mongoose.isValidObjectId(reference.paymentId)) {
+        const payment = await Payment.findOne({ _id: reference.paymentId, provider });
+        if (payment) return payment;
+    }
+
+    if (!mongoose.isValidObjectId(reference.orderId)) {
+        throw new PaymentError('Invalid order reference');
+    }
+
+    const order = await Order.findById(reference.orderId);
+    if (!order) {
+        throw new PaymentError('Order not found', 404);
+    }
+
+    const existing = await Payment.findOne({ order: order._id, provider }).sort({ createdAt: -1 });
+    if (existing) return existing;
+
+    return new Payment({
+        order: order._id,
+        clientID: order.clientID,
+        provider,
+        amount: order.finalPrice,
+    }).save();
+}
+
+// Mark the payment and its order as paid, then run everything that follows a payment.
+// A payment for an order cancelled meanwhile (a late callback, a hold that ran out) is recorded
+// and flagged for the merchant; the order stays cancelled and its stock isn't taken again.
+async function applyPayment(payment, order, providerPaymentId) {
+    payment.status = 'paid';
+    payment.paidAt = new Date();
+    payment.providerPaymentId = providerPaymentId;
+
+    if (order.status === 'Cancelled') {
+        payment.needsReview = true;
+        payment.reviewReason = 'Paid after the order was cancelled, refund the payment or reinstate the order';
+        await payment.save();
+        console.error(`Payment ${payment._id} came in for cancelled order ${order._id}, flagged for review`);
+        return { flagged: true };
+    }
+    await payment.save();
+
+    order.paid = true;
+    order.paidAt = payment.paidAt;
+    order.paymentReference = providerPaymentId;
+
+    // The stock held when the order was placed is now sold
+    await commitReservation(order);
+
+    // Moving to Paid sends the order confirmation email
+    if (canTransition(order.status, 'Paid')) {
+        await transitionOrder(order, 'Paid', { changedBy: payment.provider });
+    } else {
+        await order.save();
+    }
+    return { flagged: false };
+}
+
+// Everything needed to verify the notification again later, without credentials
+const storedHeaders = (headers = {}) => Object.fromEntries(Object.entries(headers)
+    .filter(([name]) => !['authorization', 'cookie'].includes(name.toLowerCase())));
+
+// Verify and apply a gateway callback. Every callback is stored, whatever the outcome.
+async function processCallback(provider, req) {
+    const adapter = getAdapter(provider);
+    const notification = new PaymentNotification({
+        provider,
+        payload: req.body || {},
+        rawBody: req.rawBody,
+        headers: storedHeaders(req.headers),
+        sourceIp: req.ip,
+    });
+
+    try {
+        const reference = adapter.getCallbackReference(req);
+        notification.providerPaymentId = reference.providerPaymentId;
+
+        const payment = await findPaymentForCallback(provider, reference);
+        notification.payment = payment._id;
+        notification.order = payment.order;
+        notification.clientID = payment.clientID;
+
+        const order = await Order.findById(payment.order).populate('orderItems').populate('customer');
+        if (!order) {
+            throw new PaymentError('Order not found', 404);
+        }
+
+        const client = await Client.findOne({ clientID: payment.clientID });
+        if (!client) {
+            throw new PaymentError('Client not found', 404);
+        }
+
+        const result = await adapter.verifyCallback({ req, payment, order, client, config: getProviderConfig(client, provider) });
+        notification.providerPaymentId = result.providerPaymentId;
+        notification.paymentStatus = result.status;
+        notification.amount = result.amount;
+
+        if (!amountsMatch(result.amount, payment.amount)) {
+            throw new PaymentError('Amount does not match order total');
+        }
+
+        if (result.status !== 'paid') {
+            if (payment.status === 'pending' && result.status !== 'pending') {
+                payment.status = result.status;
+                await payment.save();
+            }
+            notification.status = 'ignored';
+            notification.reason = `Payment status is ${result.status}`;
+            await notification.save();
+            return { applied: false, payment, order };
+        }
+
+        if (order.paid) {
+            throw new PaymentError('Order has already been paid', 409);
+        }
+
+        // The unique index on processed notifications stops the same payment being applied twice
+        notification.status = 'processed';
+        try {
+            await notification.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new PaymentError('Duplicate payment notification', 409);
+            }
+            throw error;
+        }
+
+        const { flagged } = await applyPayment(payment, order, result.providerPaymentId);
+        return { applied: !flagged, flagged, payment, order };
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            notification.status = 'rejected';
+            notification.reason = error.message;
+            await notification.save();
+            console.error(`Rejected ${provider} notification ${notification.providerPaymentId}: ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+// Manual providers (EFT) are confirmed by the merchant once the money is in their account
+async function confirmManualPayment(payment, reference) {
+    if (!getAdapter(payment.provider).manualConfirmation) {
+        throw new PaymentError(`${payment.provider} payments are confirmed by the gateway`);
+    }
+    if (payment.status === 'paid') {
+        throw new PaymentError('Payment has already been confirmed', 409);
+    }
+
+    const order = await Order.findById(payment.order).populate('orderItems').populate('customer');
+    if (!order) {
+        throw new PaymentError('Order not found', 404);
+    }
+    if (order.paid) {
+        throw new PaymentError('Order has already been paid', 409);
+    }
+
+    const { flagged } = await applyPayment(payment, order, reference || `EFT-${payment._id}`);
+    return { payment, order, flagged };
+}
+
+// Send money back through the gateway the payment was taken with
+async function refundPayment({ payment, amount, reason }) {
+    if (!['paid', 'partially_refunded'].includes(payment.status)) {
+        throw new PaymentError('Only paid payments can be refunded');
+    }
+    if (amount <= 0 || amount > payment.amount - payment.refundedAmount + 0.001) {
+        throw new PaymentError('Refund amount exceeds what is left on the payment');
+    }
+
+    const client = await Client.findOne({ clientID: payment.clientID });
+    const config = getProviderConfig(client, payment.provider);
+    const result = await getAdapter(payment.provider).refund({ payment, amount, reason, client, config });
+
+    payment.refundedAmount = Math.round((payment.refundedAmount + amount) * 100) / 100;
+    payment.status = payment.refundedAmount >= payment.amount - 0.001 ? 'refunded' : 'partially_refunded';
+    await payment.save();
+
+    return result;
+}
+
+module.exports = {
+    PROVIDERS,
+    PaymentError,
+    getAdapter,
+    getProviderSettings,
+    createPayment,
+    processCallback,
+    confirmManualPayment,
+    refundPayment,
+};
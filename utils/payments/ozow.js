@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentError = require('./paymentError');
+
+const PAY_URL = 'https://pay.ozow.com';
+const REFUND_URL = 'https://api.ozow.com/secure/refunds/submit';
+
+const STATUS_MAP = {
+    Complete: 'paid',
+    Cancelled: 'cancelled',
+    Error: 'failed',
+    Abandoned: 'cancelled',
+    PendingInvestigation: 'pending',
+};
+
+// Ozow hashes the concatenated field values plus the private key, lower-cased, with SHA512
+const hashValues = (values, privateKey) => crypto.createHash('sha512')
+    .update(`${values.map(value => (value === undefined || value === null ? '' : value)).join('')}${privateKey}`.toLowerCase())
+    .digest('hex');
+
+async function createPayment({ payment, order, client, config }) {
+    if (!config.siteCode || !config.privateKey) {
+        throw new PaymentError('Ozow is not configured for this client');
+    }
+
+    // Field order matters, it is the order the hash is built in
+    const fields = {
+        SiteCode: config.siteCode,
+        CountryCode: 'ZA',
+        CurrencyCode: payment.currency,
+        Amount: payment.amount.toFixed(2),
+        TransactionReference: payment._id.toString(),
+        BankReference: `Order ${order.orderNumber || order._id.toString().slice(-8)}`,
+        Optional1: order._id.toString(),
+        CancelUrl: config.cancelUrl || client.cancel_url,
+        ErrorUrl: config.errorUrl || client.cancel_url,
+        SuccessUrl: config.successUrl || client.return_url,
+        NotifyUrl: config.notifyUrl,
+        IsTest: config.mode === 'sandbox' ? 'true' : 'false',
+    };
+    fields.HashCheck = hashValues(Object.values(fields), config.privateKey);
+
+    return { action: PAY_URL, fields };
+}
+
+function getCallbackReference(req) {
+    const payload = req.body || {};
+    return { paymentId: payload.TransactionReference, orderId: payload.Optional1, providerPaymentId: payload.TransactionId };
+}
+
+async function verifyCallback({ req, config }) {
+    const payload = req.body || {};
+    const expected = hashValues([
+        payload.SiteCode,
+        payload.TransactionId,
+        payload.TransactionReference,
+        payload.Amount,
+        payload.Status,
+        payload.Optional1,
+        payload.Optional2,
+        payload.Optional3,
+        payload.Optional4,
+        payload.Optional5,
+        payload.CurrencyCode,
+        payload.IsTest,
+        payload.StatusMessage,
+    ], config.privateKey);
+
+    if (typeof payload.Hash !== 'string' || payload.Hash.toLowerCase() !== expected) {
+        throw new PaymentError('Invalid signature');
+    }
+    if (payload.SiteCode !== config.siteCode) {
+        throw new PaymentError('Site code does not match client');
+    }
+
+    return {
+        status: STATUS_MAP[payload.Status] || 'pending',
+        amount: parseFloat(payload.Amount),
+        providerPaymentId: payload.TransactionId,
+    };
+}
+
+// Ozow settles refunds asynchronously, so they stay pending until the merchant confirms
+async function refund({ payment, amount, reason, config }) {
+    const { data } = await axios.post(config.refundUrl || REFUND_URL, {
+        siteCode: config.siteCode,
+        transactionId: payment.providerPaymentId,
+        amount: amount.toFixed(2),
+        refundReason: reason || 'Refund',
+    }, { headers: { ApiKey: config.apiKey, Accept: 'application/json' } });
+
+    return { status: 'pending', providerReference: data && (data.refundId || data.id) };
+}
+
+module.exports = {
+    name: 'ozow',
+    createPayment,
+    getCallbackReference,
+    verifyCallback,
+    refund,
+};
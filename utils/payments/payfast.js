@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const PaymentError = require('./paymentError');
+
+const PROCESS_URLS = {
+    live: 'https://www.payfast.co.za/eng/process',
+    sandbox: 'https://sandbox.payfast.co.za/eng/process',
+};
+const API_URL = 'https://api.payfast.co.za';
+
+const STATUS_MAP = {
+    COMPLETE: 'paid',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    PENDING: 'pending',
+};
+
+// PayFast encodes values the same way PHP's urlencode does (spaces become '+')
+const encodeValue = (value) => encodeURIComponent(String(value).trim()).replace(/%20/g, '+');
+
+// Build the MD5 signature PayFast expects for a set of fields.
+// Checkout forms leave out blank fields, ITN payloads are signed exactly as posted.
+function generateSignature(data, passphrase, { skipBlank = false } = {}) {
+    const pairs = Object.keys(data)
+        .filter(key => key !== 'signature')
+        .filter(key => data[key] !== undefined && data[key] !== null)
+        .filter(key => !skipBlank || String(data[key]).trim() !== '')
+        .map(key => `${key}=${encodeValue(data[key])}`);
+
+    if (passphrase) {
+        pairs.push(`passphrase=${encodeValue(passphrase)}`);
+    }
+
+    return crypto.createHash('md5').update(pairs.join('&')).digest('hex');
+}
+
+// Compare the posted signature against one rebuilt with the tenant's passphrase
+function isValidSignature(data, passphrase) {
+    if (!data || typeof data.signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(generateSignature(data, passphrase));
+    const received = Buffer.from(data.signature.toLowerCase());
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Tenants set up before providers were pluggable keep their PayFast details on Client itself
+const credentialsFor = (client, config) => ({
+    merchantId: String(config.merchant_id || client.merchant_id),
+    merchantKey: config.merchant_key || client.merchant_key,
+    passphrase: config.passphrase || client.passphrase,
+});
+
+// Build the signed form a storefront posts to PayFast for an order.
+// Fields follow PayFast's documented order, which the signature depends on.
+// The passphrase only ever goes into the signature and never leaves the server.
+async function createPayment({ payment, order, client, config, customer }) {
+    const { merchantId, merchantKey, passphrase } = credentialsFor(client, config);
+    // Orders from before order numbers go by their ID
+    const orderNumber = order.orderNumber || order._id.toString();
+    const fields = {
+        merchant_id: merchantId,
+        merchant_key: merchantKey,
+        return_url: config.return_url || client.return_url,
+        cancel_url: config.cancel_url || client.cancel_url,
+        notify_url: config.notify_url || client.notify_url,
+        name_first: customer ? customer.customerFirstName : undefined,
+        name_last: customer ? customer.customerLastName : undefined,
+        email_address: customer ? customer.emailAddress : undefined,
+        m_payment_id: orderNumber,
+        amount: payment.amount.toFixed(2),
+        item_name: `Order ${orderNumber}`,
+        custom_str1: payment._id.toString(),
+        custom_str2: order._id.toString(),
+    };
+
+    Object.keys(fields).forEach(key => {
+        if (fields[key] === undefined || fields[key] === null || String(fields[key]).trim() === '') {
+            delete fields[key];
+        }
+    });
+    fields.signature = generateSignature(fields, passphrase, { skipBlank: true });
+
+    return { action: PROCESS_URLS[config.mode] || PROCESS_URLS.live, fields };
+}
+
+// The payment is found by custom_str1. Checkouts built before payments were recorded
+// only carry the order ID, in m_payment_id or after the '#' in item_name.
+function getCallbackReference(req) {
+    const payload = req.body || {};
+    const legacyOrderId = [payload.m_payment_id, (payload.item_name || '').split('#')[1]]
+        .find(value => mongoose.isValidObjectId(value));
+    return {
+        paymentId: payload.custom_str1,
+        orderId: payload.custom_str2 || legacyOrderId,
+        providerPaymentId: payload.pf_payment_id,
+    };
+}
+
+async function verifyCallback({ req, client, config }) {
+    const payload = req.body || {};
+    if (!payload.pf_payment_id || !payload.signature) {
+        throw new PaymentError('Invalid payment details');
+    }
+
+    const { merchantId, passphrase } = credentialsFor(client, config);
+    if (!isValidSignature(payload, passphrase)) {
+        throw new PaymentError('Invalid signature');
+    }
+    if (String(payload.merchant_id) !== merchantId) {
+        throw new PaymentError('Merchant ID does not match client');
+    }
+
+    return {
+        status: STATUS_MAP[payload.payment_status] || 'pending',
+        amount: parseFloat(payload.amount_gross),
+        providerPaymentId: payload.pf_payment_id,
+    };
+}
+
+// PayFast's API signs the headers and body together, sorted by key
+async function refund({ payment, amount, reason, client, config }) {
+    const { merchantId, passphrase } = credentialsFor(client, config);
+    const headers = {
+        'merchant-id': merchantId,
+        version: 'v1',
+        timestamp: new Date().toISOString(),
+    };
+    const body = {
+        amount: Math.round(amount * 100), // cents
+        reason: reason || 'Refund',
+        notify_buyer: 1,
+    };
+
+    const signed = { ...headers, ...body };
+    if (passphrase) signed.passphrase = passphrase;
+    const signatureBase = Object.keys(signed).sort()
+        .map(key => `${key}=${encodeValue(signed[key])}`)
+        .join('&');
+    headers.signature = crypto.createHash('md5').update(signatureBase).digest('hex');
+
+    const query = config.mode === 'sandbox' ? '?testing=true' : '';
+    const { data } = await axios.post(`${API_URL}/refunds/${payment.providerPaymentId}${query}`, body, { headers });
+
+    return { status: 'completed', providerReference: data && data.data ? String(data.data.refund_id || '') : undefined };
+}
+
+module.exports = {
+    name: 'payfast',
+    createPayment,
+    getCallbackReference,
+    verifyCallback,
+    refund,
+    generateSignature,
+    isValidSignature,
+};
@@ -0,0 +1,10 @@
+// Raised by the payment layer for anything the caller should see as a client error
+class PaymentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = PaymentError;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentError = require('./paymentError');
+
+const API_URL = 'https://payments.yoco.com/api';
+
+// Webhooks older than this are treated as replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const authHeaders = (config) => ({ Authorization: `Bearer ${config.secretKey}` });
+
+// Yoco hosts the checkout page, the storefront only needs to redirect to it
+async function createPayment({ payment, order, client, config }) {
+    if (!config.secretKey) {
+        throw new PaymentError('Yoco is not configured for this client');
+    }
+
+    const { data } = await axios.post(`${API_URL}/checkouts`, {
+        amount: Math.round(payment.amount * 100), // cents
+        currency: payment.currency,
+        successUrl: config.successUrl || client.return_url,
+        cancelUrl: config.cancelUrl || client.cancel_url,
+        failureUrl: config.failureUrl || client.cancel_url,
+        metadata: {
+            paymentId: payment._id.toString(),
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber || order._id.toString(),
+        },
+    }, { headers: { ...authHeaders(config), 'Idempotency-Key': payment._id.toString() } });
+
+    return { providerReference: data.id, redirectUrl: data.redirectUrl };
+}
+
+function getCallbackReference(req) {
+    const payload = (req.body && req.body.payload) || {};
+    const metadata = payload.metadata || {};
+    return { paymentId: metadata.paymentId, orderId: metadata.orderId, providerPaymentId: payload.id };
+}
+
+// Yoco signs "<webhook-id>.<webhook-timestamp>.<raw body>" with the base64 part of the whsec_ secret
+function isValidWebhook(req, secret) {
+    const id = req.headers['webhook-id'];
+    const timestamp = req.headers['webhook-timestamp'];
+    const signatures = req.headers['webhook-signature'];
+    if (!id || !timestamp || !signatures || !req.rawBody || !secret) {
+        return false;
+    }
+
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto.createHmac('sha256', key)
+        .update(`${id}.${timestamp}.${req.rawBody}`)
+        .digest('base64');
+
+    return signatures.split(' ').some(entry => {
+        const received = Buffer.from(entry.split(',')[1] || '');
+        const wanted = Buffer.from(expected);
+        return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+    });
+}
+
+async function verifyCallback({ req, config }) {
+    if (!isValidWebhook(req, config.webhookSecret)) {
+        throw new PaymentError('Invalid signature');
+    }
+
+    const event = req.body || {};
+    const payload = event.payload || {};
+    const statuses = {
+        'payment.succeeded': 'paid',
+        'payment.failed': 'failed',
+    };
+
+    return {
+        status: statuses[event.type] || 'pending',
+        amount: payload.amount / 100,
+        providerPaymentId: payload.id,
+    };
+}
+
+async function refund({ payment, amount, reason, config }) {
+    const { data } = await axios.post(`${API_URL}/checkouts/${payment.providerReference}/refund`, {
+        amount: Math.round(amount * 100),
+        metadata: { reason: reason || '' },
+    }, { headers: { ...authHeaders(config), 'Idempotency-Key': crypto.randomUUID() } });
+
+    return {
+        status: data.status === 'succeeded' ? 'completed' : 'pending',
+        providerReference: data.refundId || data.id,
+    };
+}
+
+module.exports = {
+    name: 'yoco',
+    createPayment,
+    getCallbackReference,
+    verifyCallback,
+    refund,
+};
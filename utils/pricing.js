@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const DiscountCode = require('../models/discountCode');
+const Customer = require('../models/customer');
+const { SalesItem } = require('../models/salesItem');
+const { findSelectedOptions, findSku } = require('./variants');
+
+// Raised for anything wrong with what the customer asked for (unknown product, bad code...)
+class PricingError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PricingError';
+        this.statusCode = statusCode;
+    }
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// A product on a sales campaign takes the best running campaign. Products that were never
+// on a campaign fall back to the salePercentage set on the product itself.
+function salePercentageFor(product, sales, now) {
+    const campaigns = sales.filter(sale => sale.selectedProductIds.some(id => String(id) === String(product._id)));
+    if (campaigns.length === 0) {
+        return product.salePercentage || 0;
+    }
+
+    const running = campaigns.filter(sale => sale.startDate <= now && sale.endDate >= now);
+    return running.length > 0 ? Math.max(...running.map(sale => sale.discountPercentage)) : 0;
+}
+
+// Look up a discount code and make sure it can still be used
+async function findDiscountCode(clientID, code) {
+    const discount = await DiscountCode.findOne({ code, clientID });
+    if (!discount) {
+        throw new PricingError('Invalid discount code', 404);
+    }
+    if (!discount.isActive) {
+        throw new PricingError('Discount code is no longer active');
+    }
+    if (discount.usageCount >= discount.usageLimit) {
+        throw new PricingError('Discount code usage limit reached');
+    }
+    return discount;
+}
+
+// Codes scoped to a category match on the product's category, otherwise on the listed products
+function isEligibleForDiscount(discount, product) {
+    if (discount.type === 'category') {
+        const categoryId = product.category && product.category._id ? product.category._id : product.category;
+        return discount.appliesTo.some(id => String(id) === String(categoryId));
+    }
+    if (discount.appliesToModel === 'Service' && discount.appliesTo.length > 0) {
+        return false;
+    }
+    if (!discount.appliesTo || discount.appliesTo.length === 0) {
+        return true;
+    }
+    return discount.appliesTo.some(id => String(id) === String(product._id));
+}
+
+// Price a cart the way the order will be charged. Nothing from the client is trusted apart
+// from which products, options and quantities were picked.
+//
+// items: [{ product, quantity, sku }], or size, color, material, style, title in place of sku
+async function priceOrder({ clientID, items, discountCode, now = new Date() }) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new PricingError('Order items must be a non-empty array');
+    }
+
+    const productIds = items.map(item => item.product);
+    if (!productIds.every(id => mongoose.isValidObjectId(id))) {
+        throw new PricingError('Invalid product ID');
+    }
+
+    const [products, sales] = await Promise.all([
+        Product.find({ _id: { $in: productIds }, clientID }),
+        SalesItem.find({ clientID, itemType: 'product', selectedProductIds: { $in: productIds } }),
+    ]);
+
+    const discount = discountCode ? await findDiscountCode(clientID, discountCode) : null;
+
+    const lines = items.map(item => {
+        const product = products.find(p => String(p._id) === String(item.product));
+        if (!product) {
+            throw new PricingError(`Product not found: ${item.product}`, 404);
+        }
+
+        const quantity = parseInt(item.quantity, 10);
+        if (!quantity || quantity < 1) {
+            throw new PricingError(`Invalid quantity for ${product.productName}`);
+        }
+
+        // Products with SKUs are priced by the SKU, older ones by adding up the chosen values
+        let sku = null;
+        let options;
+        let listPrice;
+        if (product.skus && product.skus.length > 0) {
+            sku = findSku(product, item);
+            if (!sku) {
+                throw new PricingError(item.sku
+                    ? `${product.productName} has no SKU ${item.sku}`
+                    : `Choose the options of ${product.productName}`);
+            }
+            if (sku.active === false) {
+                throw new PricingError(`${product.productName} ${sku.code} is no longer available`);
+            }
+            options = sku.options.map(({ name, value }) => ({ name, value }));
+            listPrice = roundMoney(sku.price);
+        } else {
+            const selections = findSelectedOptions(product, item);
+            const unknown = selections.find(selection => !selection.option);
+            if (unknown) {
+                throw new PricingError(`${product.productName} has no ${unknown.variant.name} "${unknown.value}"`);
+            }
+            options = selections.map(({ variant, option }) => ({ name: variant.name, value: option.value, price: option.price || 0 }));
+            listPrice = roundMoney(product.price + options.reduce((total, option) => total + option.price, 0));
+        }
+
+        const salePercentage = salePercentageFor(product, sales, now);
+        const unitPrice = roundMoney(listPrice * (1 - salePercentage / 100));
+        const lineSubtotal = roundMoney(unitPrice * quantity);
+        const lineDiscount = discount && isEligibleForDiscount(discount, product)
+            ? roundMoney(lineSubtotal * discount.discount / 100)
+            : 0;
+
+        return {
+            // The line remembers the SKU it was priced with, so stock is taken from the same one
+            item: sku ? { ...item, sku: sku._id } : item,
+            product,
+            sku,
+            productName: product.productName,
+            quantity,
+            basePrice: product.price,
+            options,
+            listPrice,
+            salePercentage,
+            unitPrice,
+            lineSubtotal,
+            discount: lineDiscount,
+            lineTotal: roundMoney(lineSubtotal - lineDiscount),
+        };
+    });
+
+    if (discount && !lines.some(line => line.discount > 0)) {
+        throw new PricingError('No eligible products for this discount code');
+    }
+
+    const subtotal = roundMoney(lines.reduce((total, line) => total + line.lineSubtotal, 0));
+    const saleSavings = roundMoney(lines.reduce((total, line) => total + (line.listPrice - line.unitPrice) * line.quantity, 0));
+    const discountAmount = roundMoney(lines.reduce((total, line) => total + line.discount, 0));
+
+    return {
+        lines,
+        discount,
+        subtotal,
+        saleSavings,
+        discountAmount,
+        deliveryPrice: 0,
+        total: roundMoney(subtotal - discountAmount),
+    };
+}
+
+// Add the delivery charge once it has been worked out for the priced cart, see utils/shipping.js
+function withDelivery(pricing, deliveryPrice) {
+    const delivery = roundMoney(Number(deliveryPrice) || 0);
+    return { ...pricing, deliveryPrice: delivery, total: roundMoney(pricing.subtotal - pricing.discountAmount + delivery) };
+}
+
+// Count a use of the code, refusing it if the limit was reached since the order was priced
+async function claimDiscountCode(discount, { session } = {}) {
+    const result = await DiscountCode.updateOne(
+        { _id: discount._id, isActive: true, $expr: { $lt: ['$usageCount', '$usageLimit'] } },
+        { $inc: { usageCount: 1 } },
+        { session }
+    );
+    if (result.modifiedCount === 0) {
+        throw new PricingError('Discount code usage limit reached');
+    }
+}
+
+// Pay what store credit covers of the total, the rest is left for the gateway
+function withStoreCredit(pricing, available) {
+    const storeCredit = roundMoney(Math.min(Math.max(Number(available) || 0, 0), pricing.total));
+    return { ...pricing, storeCredit, total: roundMoney(pricing.total - storeCredit) };
+}
+
+// Take the credit off the customer, refusing it if it was spent since the order was priced
+async function claimStoreCredit(customer, amount, { session } = {}) {
+    const result = await Customer.updateOne(
+        { _id: customer, storeCredit: { $gte: amount } },
+        { $inc: { storeCredit: -amount } },
+        { session }
+    );
+    if (result.modifiedCount === 0) {
+        throw new PricingError('Store credit has changed, please try again', 409);
+    }
+}
+
+// The summary stored on the order
+function toPriceBreakdown(pricing) {
+    return {
+        subtotal: pricing.subtotal,
+        saleSavings: pricing.saleSavings,
+        discountCode: pricing.discount ? pricing.discount.code : undefined,
+        discountPercentage: pricing.discount ? pricing.discount.discount : 0,
+        discountAmount: pricing.discountAmount,
+        deliveryPrice: pricing.deliveryPrice,
+        storeCredit: pricing.storeCredit || 0,
+        total: pricing.total,
+        calculatedAt: new Date(),
+    };
+}
+
+// The price snapshot stored on each OrderItem
+function toOrderItemPricing(line) {
+    return {
+        productName: line.productName,
+        sku: line.sku ? line.sku._id : undefined,
+        skuCode: line.sku ? line.sku.code : undefined,
+        basePrice: line.basePrice,
+        options: line.options,
+        listPrice: line.listPrice,
+        salePercentage: line.salePercentage,
+        unitPrice: line.unitPrice,
+        discount: line.discount,
+        lineTotal: line.lineTotal,
+        taxClass: line.taxClass,
+        taxRate: line.taxRate,
+        netTotal: line.net,
+        taxAmount: line.tax,
+        grossTotal: line.gross,
+    };
+}
+
+module.exports = { PricingError, roundMoney, priceOrder, withDelivery, withStoreCredit, claimDiscountCode, claimStoreCredit, toPriceBreakdown, toOrderItemPricing };
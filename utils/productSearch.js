@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { Category } = require('../models/category');
+const { SalesItem } = require('../models/salesItem');
+const { OPTION_FIELDS } = require('./variants');
+
+class ProductQueryError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ProductQueryError';
+        this.statusCode = statusCode;
+    }
+}
+
+// ?sort= values, the field each one sorts on and its direction when ?order= isn't given
+const SORT_FIELDS = {
+    relevance: { field: 'score', direction: -1 },
+    price: { field: 'salePrice', direction: 1 },
+    newest: { field: 'createdAt', direction: -1 },
+    rating: { field: 'rating', direction: -1 },
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const listOf = (value) => String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+
+function parseAmount(value, name) {
+    const amount = Number(value);
+    if (Number.isNaN(amount)) {
+        throw new ProductQueryError(`${name} must be a number`);
+    }
+    return amount;
+}
+
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_LIMIT;
+    const limit = parseInt(value, 10);
+    if (!limit || limit < 1) {
+        throw new ProductQueryError('limit must be a positive number');
+    }
+    return Math.min(limit, MAX_LIMIT);
+}
+
+// The sale percentage each product sells at right now, the same rules as salePercentageFor
+// in utils/pricing.js: the best running campaign, nothing for products whose campaigns have
+// all ended, and the product's own salePercentage for products never on a campaign.
+async function salePercentageExpression(clientID) {
+    const now = new Date();
+    const campaigns = await SalesItem.find({ clientID, itemType: 'product' });
+
+    const best = new Map();
+    campaigns
+        .filter(sale => sale.startDate <= now && sale.endDate >= now)
+        .forEach(sale => sale.selectedProductIds.forEach(id => {
+            best.set(String(id), Math.max(best.get(String(id)) || 0, sale.discountPercentage));
+        }));
+
+    // One branch per percentage, highest first
+    const byPercentage = new Map();
+    best.forEach((percentage, id) => {
+        byPercentage.set(percentage, [...(byPercentage.get(percentage) || []), new mongoose.Types.ObjectId(id)]);
+    });
+    const branches = [...byPercentage.keys()]
+        .sort((a, b) => b - a)
+        .map(percentage => ({ case: { $in: ['$_id', byPercentage.get(percentage)] }, then: percentage }));
+
+    const onCampaign = [...new Set(campaigns.flatMap(sale => sale.selectedProductIds.map(String)))]
+        .map(id => new mongoose.Types.ObjectId(id));
+    const fallback = { $cond: [{ $in: ['$_id', onCampaign] }, 0, { $ifNull: ['$salePercentage', 0] }] };
+
+    return branches.length > 0 ? { $switch: { branches, default: fallback } } : fallback;
+}
+
+// Each filter on its own, so facets can leave out their own filter.
+// Query: category, brand, minPrice, maxPrice, inStock, onSale, and size, color... for variant values
+function buildFilters(query) {
+    const filters = {};
+
+    if (query.category) {
+        const ids = listOf(query.category);
+        if (ids.some(id => !mongoose.isValidObjectId(id))) {
+            throw new ProductQueryError('Invalid category ID');
+        }
+        filters.category = { category: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } };
+    }
+
+    if (query.brand) {
+        filters.brand = { brand: { $in: listOf(query.brand) } };
+    }
+
+    if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        const price = {};
+        if (query.minPrice !== undefined) price.$gte = parseAmount(query.minPrice, 'minPrice');
+        if (query.maxPrice !== undefined) price.$lte = parseAmount(query.maxPrice, 'maxPrice');
+        filters.price = { salePrice: price };
+    }
+
+    if (query.inStock === 'true') {
+        filters.inStock = { countInStock: { $gt: 0 } };
+    }
+
+    if (query.onSale === 'true') {
+        filters.onSale = { salePercentage: { $gt: 0 } };
+    }
+
+    // Variant names are free text ("Size", "size"), so they match whatever the case.
+    // Products with SKUs match on a SKU with the value, older products on the variant value.
+    const inStock = query.inStock === 'true';
+    const attributes = OPTION_FIELDS.filter(field => query[field]).map(field => {
+        const name = new RegExp(`^${field}$`, 'i');
+        const values = listOf(query[field]);
+        return {
+            $or: [
+                {
+                    skus: {
+                        $elemMatch: {
+                            options: { $elemMatch: { name, value: { $in: values } } },
+                            active: { $ne: false },
+                            ...(inStock ? { stock: { $gt: 0 } } : {}),
+                        },
+                    },
+                },
+                {
+                    'skus.0': { $exists: false },
+                    variants: {
+                        $elemMatch: {
+                            name,
+                            values: { $elemMatch: { value: { $in: values }, ...(inStock ? { stock: { $gt: 0 } } : {}) } },
+                        },
+                    },
+                },
+            ],
+        };
+    });
+    if (attributes.length > 0) {
+        filters.attributes = { $and: attributes };
+    }
+
+    return filters;
+}
+
+const combine = (filters, leaveOut) => {
+    const conditions = Object.keys(filters).filter(name => name !== leaveOut).map(name => filters[name]);
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+function buildSort(query) {
+    const key = query.sort || (query.q ? 'relevance' : 'newest');
+    const sortField = SORT_FIELDS[key];
+    if (!sortField) {
+        throw new ProductQueryError(`Sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    if (key === 'relevance' && !query.q) {
+        throw new ProductQueryError('Sorting by relevance needs a search query');
+    }
+    let direction = sortField.direction;
+    if (query.order === 'asc') direction = 1;
+    if (query.order === 'desc') direction = -1;
+    return { field: sortField.field, direction, sort: { [sortField.field]: direction, _id: direction } };
+}
+
+// The cursor carries the sort value and ID of the last product on the page
+function encodeCursor(product, field) {
+    const value = product[field];
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        id: String(product._id),
+    })).toString('base64url');
+}
+
+function cursorFilter(cursor, field, direction) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+        throw new ProductQueryError('Invalid cursor');
+    }
+    if (!decoded || !mongoose.isValidObjectId(decoded.id)) {
+        throw new ProductQueryError('Invalid cursor');
+    }
+
+    const value = decoded.d ? new Date(decoded.v) : decoded.v;
+    const id = new mongoose.Types.ObjectId(decoded.id);
+    const operator = direction === 1 ? '$gt' : '$lt';
+    return {
+        $or: [
+            { [field]: { [operator]: value } },
+            { [field]: value, _id: { [operator]: id } },
+        ],
+    };
+}
+
+// Counts for the filter sidebar. Each facet is counted with every filter but its own,
+// so picking one brand still shows how many products the other brands have.
+function facetPipelines(filters) {
+    return {
+        categories: [
+            { $match: combine(filters, 'category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            { $project: { _id: 0, category: '$_id', name: '$category.name', count: 1 } },
+            { $sort: { count: -1, name: 1 } },
+        ],
+        brands: [
+            { $match: combine(filters, 'brand') },
+            { $match: { brand: { $nin: [null, ''] } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $project: { _id: 0, brand: '$_id', count: 1 } },
+            { $sort: { count: -1, brand: 1 } },
+        ],
+        price: [
+            { $match: combine(filters, 'price') },
+            { $group: { _id: null, min: { $min: '$salePrice' }, max: { $max: '$salePrice' } } },
+            { $project: { _id: 0, min: 1, max: 1 } },
+        ],
+        inStock: [
+            { $match: combine(filters, 'inStock') },
+            { $match: { countInStock: { $gt: 0 } } },
+            { $count: 'count' },
+        ],
+        onSale: [
+            { $match: combine(filters, 'onSale') },
+            { $match: { salePercentage: { $gt: 0 } } },
+            { $count: 'count' },
+        ],
+        attributes: [
+            { $match: combine(filters, 'attributes') },
+            { $unwind: '$variants' },
+            { $unwind: '$variants.values' },
+            {
+                $group: {
+                    _id: { name: { $toLower: '$variants.name' }, value: '$variants.values.value' },
+                    products: { $addToSet: '$_id' },
+                },
+            },
+            { $project: { _id: 0, name: '$_id.name', value: '$_id.value', count: { $size: '$products' } } },
+            { $sort: { name: 1, value: 1 } },
+        ],
+    };
+}
+
+// Attribute facets grouped by name: { size: [{ value: 'M', count: 3 }], ... }
+const groupAttributes = (rows) => rows.reduce((grouped, row) => {
+    grouped[row.name] = [...(grouped[row.name] || []), { value: row.value, count: row.count }];
+    return grouped;
+}, {});
+
+// One page of matching products, the count of everything matching and the facet counts
+async function searchProducts(clientID, query) {
+    const filters = buildFilters(query);
+    const { field, direction, sort } = buildSort(query);
+    const limit = parseLimit(query.limit);
+    const text = query.q ? String(query.q).trim() : '';
+
+    // $text has to be the first stage
+    const match = text ? { clientID, $text: { $search: text } } : { clientID };
+    const salePercentage = await salePercentageExpression(clientID);
+
+    const filter = combine(filters);
+    const pageFilter = query.cursor ? { $and: [filter, cursorFilter(query.cursor, field, direction)] } : filter;
+
+    const [result] = await Product.aggregate([
+        { $match: match },
+        { $addFields: { score: text ? { $meta: 'textScore' } : 0, salePercentage } },
+        { $addFields: { salePrice: { $round: [{ $multiply: ['$price', { $subtract: [1, { $divide: ['$salePercentage', 100] }] }] }, 2] } } },
+        {
+            $facet: {
+                products: [{ $match: pageFilter }, { $sort: sort }, { $limit: limit + 1 }],
+                total: [{ $match: filter }, { $count: 'count' }],
+                ...facetPipelines(filters),
+            },
+        },
+    ]);
+
+    const hasMore = result.products.length > limit;
+    const page = hasMore ? result.products.slice(0, limit) : result.products;
+    await Product.populate(page, { path: 'category' });
+
+    return {
+        products: page.map(product => ({ ...product, id: String(product._id) })),
+        totalCount: result.total.length > 0 ? result.total[0].count : 0,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+        hasMore,
+        facets: {
+            categories: result.categories,
+            brands: result.brands,
+            price: result.price[0] || { min: null, max: null },
+            inStock: result.inStock.length > 0 ? result.inStock[0].count : 0,
+            onSale: result.onSale.length > 0 ? result.onSale[0].count : 0,
+            attributes: groupAttributes(result.attributes),
+        },
+    };
+}
+
+module.exports = { ProductQueryError, SORT_FIELDS, searchProducts };
@@ -0,0 +1,163 @@
+const Refund = require('../models/refund');
+const Payment = require('../models/payment');
+const { OrderItem } = require('../models/orderItem');
+const { Order } = require('../models/order');
+const Client = require('../models/client');
+const { refundPayment, PaymentError } = require('./payments');
+const { restockOrderItem } = require('./inventory');
+const { sendRefundEmail } = require('./email');
+const { issueCreditNote, pdfAttachment } = require('./invoices');
+const { canTransition, transitionOrder } = require('./orderStatus');
+const { orderContact } = require('./orders');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// The payment the refund goes back through. Orders paid before payments were recorded
+// only have the gateway reference, so a payment record is filled in for them.
+async function findRefundablePayment(order) {
+    const payment = await Payment.findOne({
+        order: order._id,
+        status: { $in: ['paid', 'partially_refunded'] },
+    }).sort({ paidAt: -1 });
+    if (payment) return payment;
+
+    if (!order.paymentReference) {
+        throw new PaymentError('Order has no payment to refund');
+    }
+
+    return new Payment({
+        order: order._id,
+        clientID: order.clientID,
+        provider: 'payfast',
+        status: 'paid',
+        amount: order.finalPrice,
+        providerPaymentId: order.paymentReference,
+        paidAt: order.paidAt,
+    }).save();
+}
+
+// Work out what each requested line is worth and check it hasn't been refunded already
+function resolveItems(order, items) {
+    return items.map(({ orderItem: orderItemId, quantity }) => {
+        const orderItem = order.orderItems.find(item => String(item._id) === String(orderItemId));
+        if (!orderItem) {
+            throw new PaymentError(`Order item ${orderItemId} is not part of this order`);
+        }
+
+        const qty = parseInt(quantity, 10);
+        if (!qty || qty < 1 || qty > orderItem.quantity - orderItem.refundedQuantity) {
+            throw new PaymentError(`Invalid refund quantity for order item ${orderItemId}`);
+        }
+
+        // Lines are refunded at what the customer paid, tax included; older orders have no stored price
+        const paid = orderItem.grossTotal !== undefined ? orderItem.grossTotal : orderItem.lineTotal;
+        const unitPrice = paid !== undefined
+            ? paid / orderItem.quantity
+            : orderItem.product.price;
+        return { orderItem, quantity: qty, amount: roundMoney(unitPrice * qty) };
+    });
+}
+
+// Refund all or part of a paid order through its payment provider.
+// order must be populated with orderItems (and their product) and customer.
+async function createRefund({ order, items = [], amount, reason, restock = false, createdBy }) {
+    if (!order.paid) {
+        throw new PaymentError('Only paid orders can be refunded');
+    }
+
+    const lines = resolveItems(order, items);
+    const refundAmount = roundMoney(amount !== undefined && amount !== null
+        ? Number(amount)
+        : lines.reduce((total, line) => total + line.amount, 0));
+
+    const remaining = roundMoney(order.finalPrice - order.refundedAmount);
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+        throw new PaymentError(`Refund amount must be between 0 and R${remaining.toFixed(2)}`);
+    }
+
+    // Take the amount off what's left before going to the gateway, so two refunds at once
+    // can't both pass the check above and refund more than the order total
+    const reserved = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, { $add: ['$finalPrice', 0.001] }] },
+        },
+        { $inc: { refundedAmount: refundAmount } },
+        { new: true, projection: { refundedAmount: 1 } }
+    );
+    if (!reserved) {
+        throw new PaymentError('Another refund has already used up this amount, reload the order', 409);
+    }
+
+    let refund;
+    try {
+        const payment = await findRefundablePayment(order);
+        refund = new Refund({
+            order: order._id,
+            payment: payment._id,
+            clientID: order.clientID,
+            amount: refundAmount,
+            reason,
+            items: lines.map(line => ({ orderItem: line.orderItem._id, quantity: line.quantity, amount: line.amount })),
+            // Stock of cancelled orders has already gone back
+            restock: restock && lines.length > 0 && order.reservation.status !== 'released',
+            createdBy,
+        });
+        await refund.save();
+
+        const result = await refundPayment({ payment, amount: refundAmount, reason });
+        refund.status = result.status;
+        refund.providerReference = result.providerReference;
+        await refund.save();
+    } catch (error) {
+        // Hand the reserved amount back
+        await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refundAmount } });
+        if (refund) {
+            refund.status = 'failed';
+            refund.failureReason = error.response && error.response.data
+                ? JSON.stringify(error.response.data)
+                : error.message;
+            await refund.save();
+        }
+        throw error;
+    }
+
+    for (const line of lines) {
+        await OrderItem.updateOne({ _id: line.orderItem._id }, { $inc: { refundedQuantity: line.quantity } });
+        if (refund.restock) {
+            await restockOrderItem(line.orderItem, line.quantity, { reason: 'refund', order: order._id, user: createdBy });
+        }
+    }
+
+    // refundedAmount was raised in the database already, saving it again could undo a refund made meanwhile
+    order.refundedAmount = roundMoney(reserved.refundedAmount);
+    order.unmarkModified('refundedAmount');
+    order.refundStatus = order.refundedAmount >= order.finalPrice - 0.001 ? 'full' : 'partial';
+    if (order.refundStatus === 'full' && canTransition(order.status, 'Refunded')) {
+        await transitionOrder(order, 'Refunded', { changedBy: createdBy, note: reason });
+    } else {
+        await order.save();
+    }
+
+    // The money has already gone back, a failed credit note or email must not fail the refund
+    let attachments = [];
+    try {
+        attachments = [await pdfAttachment(await issueCreditNote(refund, order))];
+    } catch (error) {
+        console.error('Error issuing credit note:', error);
+    }
+
+    try {
+        const client = await Client.findOne({ clientID: order.clientID });
+        const { email } = orderContact(order);
+        if (client && email) {
+            await sendRefundEmail(email, order, refund, client.businessEmail, client.businessEmailPassword, attachments);
+        }
+    } catch (error) {
+        console.error('Error sending refund email:', error);
+    }
+
+    return refund;
+}
+
+module.exports = { createRefund };
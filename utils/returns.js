@@ -0,0 +1,308 @@
+const { ReturnRequest, RETURN_RESOLUTIONS } = require('../models/returnRequest');
+const Customer = require('../models/customer');
+const Client = require('../models/client');
+const { Order } = require('../models/order');
+const { optionFieldsOf } = require('./variants');
+const { roundMoney } = require('./pricing');
+const { restockOrderItem, commitReservation, runInTransaction } = require('./inventory');
+const { createRefund } = require('./refunds');
+const { createOrder, orderContact } = require('./orders');
+const { transitionOrder } = require('./orderStatus');
+const { sendReturnEmail } = require('./email');
+
+class ReturnError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReturnError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Goods can only come back once they have gone out
+const RETURNABLE_ORDER_STATUSES = ['Shipped', 'Delivered'];
+
+// requested → approved → received → completed, or requested → rejected
+const TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'rejected'],
+    received: ['completed'],
+    // Claimed by a receive or resolve in progress, see claimReturn
+    receiving: [],
+    resolving: [],
+    rejected: [],
+    completed: [],
+};
+
+// Quantity of each order item already asked back in a return that wasn't rejected
+async function returnedQuantities(orderId) {
+    const requests = await ReturnRequest.find({ order: orderId, status: { $ne: 'rejected' } });
+    const quantities = new Map();
+    requests.forEach(request => request.items.forEach(item => {
+        const key = String(item.orderItem);
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }));
+    return quantities;
+}
+
+async function notifyCustomer(request, event) {
+    // The return has been saved, a failed email must not undo it
+    try {
+        const order = await Order.findById(request.order).populate('customer');
+        if (!order) return;
+        const { email } = orderContact(order);
+        if (!email) return;
+
+        const client = await Client.findOne({ clientID: request.clientID });
+        if (client) {
+            await sendReturnEmail(email, order, request, event, client.businessEmail, client.businessEmailPassword);
+        }
+    } catch (error) {
+        console.error(`Error sending return ${event} email for return ${request._id}:`, error);
+    }
+}
+
+// Move the stored return into a working status before acting on it, so two requests for the same
+// step can't both restock or pay out. Returns a function that puts the status back on failure.
+async function claimReturn(request, from, working) {
+    const claimed = await ReturnRequest.updateOne({ _id: request._id, status: from }, { status: working });
+    if (claimed.modifiedCount === 0) {
+        throw new ReturnError(`This return is already being ${working === 'receiving' ? 'received' : 'resolved'}`, 409);
+    }
+    return () => ReturnRequest.updateOne({ _id: request._id, status: working }, { status: from });
+}
+
+async function moveTo(request, to, { changedBy, note } = {}) {
+    if (!TRANSITIONS[request.status].includes(to)) {
+        throw new ReturnError(`Cannot change return status from ${request.status} to ${to}`, 409);
+    }
+    request.statusHistory.push({ from: request.status, to, changedBy, note, changedAt: new Date() });
+    request.status = to;
+    await request.save();
+    await notifyCustomer(request, to);
+    return request;
+}
+
+// Ask for some of an order's items back. order needs its orderItems populated.
+// items: [{ orderItem, quantity, reason }]
+async function requestReturn({ order, customer, items, reason, photos = [] }) {
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ReturnError(`Orders that are ${order.status} can't be returned`, 409);
+    }
+    if (!items || items.length === 0) {
+        throw new ReturnError('Choose at least one item to return');
+    }
+
+    const returned = await returnedQuantities(order._id);
+    const lines = items.map(({ orderItem, quantity, reason: itemReason }) => {
+        const line = order.orderItems.find(entry => String(entry._id) === String(orderItem));
+        if (!line) {
+            throw new ReturnError(`Order item ${orderItem} is not part of this order`);
+        }
+        const returnable = line.quantity - (line.refundedQuantity || 0) - (returned.get(String(line._id)) || 0);
+        const qty = parseInt(quantity, 10);
+        if (!qty || qty < 1 || qty > returnable) {
+            throw new ReturnError(`Invalid return quantity for order item ${orderItem}`);
+        }
+        return { orderItem: line._id, quantity: qty, reason: itemReason };
+    });
+
+    const request = new ReturnRequest({
+        order: order._id,
+        customer,
+        clientID: order.clientID,
+        items: lines,
+        reason,
+        photos,
+        statusHistory: [{ to: 'requested', changedBy: customer ? String(customer) : undefined }],
+    });
+    await request.save();
+    await notifyCustomer(request, 'requested');
+    return request;
+}
+
+// Accept the return and tell the customer how to send the goods. Without instructions
+// the client's standard return instructions are used.
+async function approveReturn(request, { instructions, changedBy } = {}) {
+    const client = await Client.findOne({ clientID: request.clientID });
+    request.instructions = instructions || (client && client.returnInstructions) || undefined;
+    return moveTo(request, 'approved', { changedBy });
+}
+
+async function rejectReturn(request, { reason, changedBy } = {}) {
+    if (!reason) {
+        throw new ReturnError('A reason is required to reject a return');
+    }
+    request.rejectionReason = reason;
+    return moveTo(request, 'rejected', { changedBy, note: reason });
+}
+
+// Book the goods in. Everything asked back is taken as received and restocked unless told otherwise;
+// items: [{ orderItem, quantity, restock }] for partial or damaged returns.
+// Stock goes back on the variant the customer bought.
+async function receiveReturn(request, { items, changedBy, note } = {}) {
+    if (request.status !== 'approved') {
+        throw new ReturnError(`Cannot receive a return that is ${request.status}`, 409);
+    }
+
+    const received = items && items.length > 0
+        ? items
+        : request.items.map(item => ({ orderItem: item.orderItem, quantity: item.quantity, restock: true }));
+
+    const order = await Order.findById(request.order).populate('orderItems');
+    for (const entry of received) {
+        const line = request.items.find(item => String(item.orderItem) === String(entry.orderItem));
+        if (!line) {
+            throw new ReturnError(`Order item ${entry.orderItem} is not part of this return`);
+        }
+        const qty = parseInt(entry.quantity, 10);
+        if (Number.isNaN(qty) || qty < 0 || qty > line.quantity) {
+            throw new ReturnError(`Invalid received quantity for order item ${entry.orderItem}`);
+        }
+        line.receivedQuantity = qty;
+        line.restocked = entry.restock !== false && entry.restock !== 'false' && qty > 0;
+    }
+    if (!request.items.some(item => item.receivedQuantity > 0)) {
+        throw new ReturnError('Nothing was received');
+    }
+
+    const release = await claimReturn(request, 'approved', 'receiving');
+    try {
+        await runInTransaction(async (session) => {
+            for (const line of request.items.filter(item => item.restocked)) {
+                const orderItem = order.orderItems.find(item => String(item._id) === String(line.orderItem));
+                await restockOrderItem(orderItem, line.receivedQuantity, { session, reason: 'return', order: order._id, user: changedBy, note: `Return ${request._id}` });
+            }
+        });
+    } catch (error) {
+        await release();
+        throw error;
+    }
+
+    return moveTo(request, 'received', { changedBy, note });
+}
+
+// What the received goods are worth, at what the customer paid for them tax included
+function receivedValue(request, order) {
+    return roundMoney(request.items.reduce((total, line) => {
+        if (!line.receivedQuantity) return total;
+        const orderItem = order.orderItems.find(item => String(item._id) === String(line.orderItem));
+        const paid = orderItem.grossTotal !== undefined ? orderItem.grossTotal : orderItem.lineTotal;
+        const unitPrice = paid !== undefined ? paid / orderItem.quantity : (orderItem.product ? orderItem.product.price : 0);
+        return total + unitPrice * line.receivedQuantity;
+    }, 0));
+}
+
+async function addStoreCredit(request, amount) {
+    if (!request.customer) {
+        throw new ReturnError('Store credit needs a customer account');
+    }
+    await Customer.updateOne({ _id: request.customer, clientID: request.clientID }, { $inc: { storeCredit: amount } });
+}
+
+// Replacement order for an exchange, paid for by the returned goods.
+// replacements: [{ product, quantity, size, color, ... }], by default the same items again.
+async function placeExchangeOrder(request, order, value, { replacements, deliveryType, changedBy }) {
+    const items = replacements && replacements.length > 0
+        ? replacements
+        : request.items.filter(line => line.receivedQuantity > 0).map(line => {
+            const orderItem = order.orderItems.find(item => String(item._id) === String(line.orderItem));
+            const item = { product: orderItem.product._id || orderItem.product, quantity: line.receivedQuantity, ...optionFieldsOf(orderItem) };
+            if (orderItem.sku) item.sku = String(orderItem.sku);
+            return item;
+        });
+
+    const { order: exchangeOrder } = await createOrder({
+        clientID: order.clientID,
+        items,
+        deliveryType: deliveryType || order.deliveryType,
+        collectionPoint: order.collectionPoint && order.collectionPoint.code,
+        address: order.address,
+        postalCode: order.postalCode,
+        phone: order.phone,
+        customer: order.customer ? order.customer._id : undefined,
+        contact: order.contact,
+        changedBy,
+    });
+
+    if (exchangeOrder.finalPrice > value + 0.001) {
+        // Undo it, the stock goes back straight away
+        await transitionOrder(exchangeOrder, 'Cancelled', { changedBy, note: 'Exchange costs more than the returned goods', notify: false });
+        throw new ReturnError(`The exchange costs R${exchangeOrder.finalPrice.toFixed(2)}, more than the R${value.toFixed(2)} returned`, 409);
+    }
+
+    exchangeOrder.exchangeFor = request._id;
+    exchangeOrder.paid = true;
+    exchangeOrder.paidAt = new Date();
+    exchangeOrder.paymentReference = `RMA-${request._id}`;
+    await commitReservation(exchangeOrder);
+    await transitionOrder(exchangeOrder, 'Paid', { changedBy, note: `Exchange for return ${request._id}` });
+    return exchangeOrder;
+}
+
+// Settle a received return with a refund, an exchange or store credit.
+// amount lowers the value of the received goods for refunds and store credit, it can't raise it.
+async function resolveReturn(request, { resolution, amount, replacements, deliveryType, note, changedBy }) {
+    if (request.status !== 'received') {
+        throw new ReturnError(`Cannot resolve a return that is ${request.status}`, 409);
+    }
+    if (!RETURN_RESOLUTIONS.includes(resolution)) {
+        throw new ReturnError('Resolution must be refund, exchange or store_credit');
+    }
+
+    const order = await Order.findById(request.order)
+        .populate({ path: 'orderItems', populate: { path: 'product' } })
+        .populate('customer');
+    const received = receivedValue(request, order);
+    const value = amount !== undefined && amount !== null ? roundMoney(Math.min(Number(amount), received)) : received;
+    if (!(value > 0)) {
+        throw new ReturnError('Nothing to resolve, the received goods have no value');
+    }
+
+    const result = { type: resolution, amount: value, note, resolvedAt: new Date() };
+
+    const release = await claimReturn(request, 'received', 'resolving');
+    try {
+        if (resolution === 'refund') {
+            // The goods were restocked when they came in
+            const refund = await createRefund({
+                order,
+                items: request.items
+                    .filter(line => line.receivedQuantity > 0)
+                    .map(line => ({ orderItem: line.orderItem, quantity: line.receivedQuantity })),
+                amount: value,
+                reason: `Return ${request._id}: ${request.reason}`,
+                restock: false,
+                createdBy: changedBy,
+            });
+            result.refund = refund._id;
+        } else if (resolution === 'store_credit') {
+            await addStoreCredit(request, value);
+            result.storeCredit = value;
+        } else {
+            const exchangeOrder = await placeExchangeOrder(request, order, value, { replacements, deliveryType, changedBy });
+            result.exchangeOrder = exchangeOrder._id;
+            // What the replacement didn't use is kept for the customer
+            const leftOver = roundMoney(value - exchangeOrder.finalPrice);
+            if (leftOver > 0 && request.customer) {
+                await addStoreCredit(request, leftOver);
+                result.storeCredit = leftOver;
+            }
+        }
+    } catch (error) {
+        await release();
+        throw error;
+    }
+
+    request.resolution = result;
+    return moveTo(request, 'completed', { changedBy, note });
+}
+
+module.exports = {
+    ReturnError,
+    RETURNABLE_ORDER_STATUSES,
+    requestReturn,
+    approveReturn,
+    rejectReturn,
+    receiveReturn,
+    resolveReturn,
+};
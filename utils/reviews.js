@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { Review } = require('../models/review');
+const Product = require('../models/product');
+const { Order } = require('../models/order');
+const { OrderItem } = require('../models/orderItem');
+
+class ReviewError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReviewError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Orders in these statuses never reached the customer, or went back
+const UNVERIFIED_ORDER_STATUSES = ['Pending', 'Cancelled', 'Refunded'];
+
+// Whether the customer paid for the product in an order they kept
+async function isVerifiedPurchase(clientID, customer, product) {
+    const orders = await Order.find({
+        clientID,
+        customer,
+        paid: true,
+        status: { $nin: UNVERIFIED_ORDER_STATUSES },
+    }).select('orderItems');
+    const itemIds = orders.flatMap(order => order.orderItems);
+    if (itemIds.length === 0) return false;
+    return Boolean(await OrderItem.exists({ _id: { $in: itemIds }, product }));
+}
+
+// rating and numReviews on the product only ever come from approved reviews
+async function recomputeProductRating(productId) {
+    const [summary] = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+    await Product.updateOne({ _id: productId }, {
+        rating: summary ? Math.round(summary.average * 10) / 10 : 0,
+        numReviews: summary ? summary.count : 0,
+    });
+}
+
+async function createReview({ clientID, customer, product, rating, title, body, photos = [] }) {
+    if (!await Product.exists({ _id: product, clientID })) {
+        throw new ReviewError('Product not found', 404);
+    }
+
+    const review = new Review({
+        clientID,
+        product,
+        customer,
+        rating,
+        title,
+        body,
+        photos,
+        verifiedPurchase: await isVerifiedPurchase(clientID, customer, product),
+    });
+    try {
+        return await review.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ReviewError('You have already reviewed this product, edit your review instead', 409);
+        }
+        throw error;
+    }
+}
+
+// An edited review goes back to the moderation queue and drops out of the rating until approved again
+async function updateReview(review, { rating, title, body, photos }) {
+    const wasApproved = review.status === 'approved';
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (body !== undefined) review.body = body;
+    if (photos !== undefined) review.photos = photos;
+    review.status = 'pending';
+    review.moderationNote = undefined;
+    review.moderatedAt = undefined;
+    review.verifiedPurchase = await isVerifiedPurchase(review.clientID, review.customer, review.product);
+    await review.save();
+
+    if (wasApproved) {
+        await recomputeProductRating(review.product);
+    }
+    return review;
+}
+
+async function deleteReview(review) {
+    await Review.deleteOne({ _id: review._id });
+    if (review.status === 'approved') {
+        await recomputeProductRating(review.product);
+    }
+}
+
+// Approve or reject a review. A reason is required to reject.
+async function moderateReview(review, status, { note } = {}) {
+    if (status === 'rejected' && !note) {
+        throw new ReviewError('A reason is required to reject a review');
+    }
+    const changesRating = review.status === 'approved' || status === 'approved';
+    review.status = status;
+    review.moderationNote = status === 'rejected' ? note : undefined;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    if (changesRating) {
+        await recomputeProductRating(review.product);
+    }
+    return review;
+}
+
+// One helpful vote per customer, and not on their own review
+async function voteHelpful(review, customer) {
+    if (review.status !== 'approved') {
+        throw new ReviewError('Review not found', 404);
+    }
+    if (String(review.customer) === String(customer)) {
+        throw new ReviewError("You can't vote on your own review");
+    }
+
+    // Done in one update so two votes at once can't both count
+    const updated = await Review.findOneAndUpdate(
+        { _id: review._id, helpfulVotes: { $ne: customer } },
+        { $addToSet: { helpfulVotes: customer }, $inc: { helpfulCount: 1 } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ReviewError('You have already marked this review as helpful', 409);
+    }
+    return updated;
+}
+
+// Average, count and how many approved reviews gave each star rating
+async function ratingSummary(productId) {
+    const rows = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]);
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => { histogram[row._id] = row.count; });
+    const count = rows.reduce((sum, row) => sum + row.count, 0);
+    const total = rows.reduce((sum, row) => sum + row._id * row.count, 0);
+    return {
+        average: count > 0 ? Math.round(total / count * 10) / 10 : 0,
+        count,
+        histogram,
+    };
+}
+
+module.exports = {
+    ReviewError,
+    isVerifiedPurchase,
+    recomputeProductRating,
+    createReview,
+    updateReview,
+    deleteReview,
+    moderateReview,
+    voteHelpful,
+    ratingSummary,
+};
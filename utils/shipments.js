@@ -0,0 +1,179 @@
+const { Shipment } = require('../models/shipment');
+const { Order } = require('../models/order');
+const Client = require('../models/client');
+const { canTransition, transitionOrder } = require('./orderStatus');
+const { sendShipmentEmail } = require('./email');
+const { orderContact } = require('./orders');
+
+class ShipmentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ShipmentError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Orders have to be paid before anything is sent out
+const SHIPPABLE_ORDER_STATUSES = ['Paid', 'Processing', 'Shipped'];
+
+// What a customer gets to see of a shipment
+function toTracking(shipment) {
+    return {
+        carrier: shipment.carrier,
+        waybill: shipment.waybill,
+        trackingUrl: shipment.trackingUrl,
+        status: shipment.status,
+        dispatchedAt: shipment.dispatchedAt,
+        deliveredAt: shipment.deliveredAt,
+        events: shipment.events.map(event => ({
+            status: event.status,
+            description: event.description,
+            location: event.location,
+            occurredAt: event.occurredAt,
+        })),
+    };
+}
+
+// Quantity of each order item already in a shipment that hasn't failed
+async function shippedQuantities(orderId) {
+    const shipments = await Shipment.find({ order: orderId, status: { $ne: 'failed' } });
+    const quantities = new Map();
+    shipments.forEach(shipment => shipment.items.forEach(item => {
+        const key = String(item.orderItem);
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }));
+    return quantities;
+}
+
+// What is left to send for each order item, refunded units don't go out
+function remainingQuantities(order, shipped) {
+    return order.orderItems.map(orderItem => ({
+        orderItem,
+        remaining: orderItem.quantity - (orderItem.refundedQuantity || 0) - (shipped.get(String(orderItem._id)) || 0),
+    }));
+}
+
+async function notifyCustomer(order, shipment, event) {
+    // The tracking update has been saved, a failed email must not undo it
+    try {
+        if (!order.populated('customer')) await order.populate('customer');
+        const { email } = orderContact(order);
+        if (!email) return;
+
+        const client = await Client.findOne({ clientID: order.clientID });
+        if (client) {
+            await sendShipmentEmail(email, order, shipment, event, client.businessEmail, client.businessEmailPassword);
+        }
+    } catch (error) {
+        console.error(`Error sending shipment ${event} email for order ${order._id}:`, error);
+    }
+}
+
+// Move the order along once its parcels move. The shipment emails already told the customer,
+// so the order status emails are not sent again.
+async function syncOrderStatus(order, changedBy) {
+    const shipments = await Shipment.find({ order: order._id, status: { $ne: 'failed' } });
+
+    if (shipments.some(shipment => shipment.dispatchedAt)) {
+        if (order.status === 'Paid') {
+            await transitionOrder(order, 'Processing', { changedBy, notify: false });
+        }
+        if (canTransition(order.status, 'Shipped')) {
+            await transitionOrder(order, 'Shipped', { changedBy, notify: false });
+        }
+    }
+
+    const shipped = await shippedQuantities(order._id);
+    const everythingSent = remainingQuantities(order, shipped).every(line => line.remaining <= 0);
+    const everythingDelivered = shipments.length > 0 && shipments.every(shipment => shipment.status === 'delivered');
+    if (everythingSent && everythingDelivered && canTransition(order.status, 'Delivered')) {
+        await transitionOrder(order, 'Delivered', { changedBy, notify: false });
+    }
+}
+
+// Record a tracking event on a shipment. Events can arrive late or twice from a courier:
+// the shipment takes the status of its most recent event and repeated event IDs are skipped.
+async function addTrackingEvent(shipment, event, { changedBy } = {}) {
+    if (event.externalId && shipment.events.some(existing => existing.externalId === event.externalId)) {
+        return { shipment, duplicate: true };
+    }
+
+    const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+    shipment.events.push({ ...event, occurredAt });
+    shipment.events.sort((a, b) => a.occurredAt - b.occurredAt);
+    shipment.status = shipment.events[shipment.events.length - 1].status;
+
+    const order = await Order.findById(shipment.order).populate('orderItems');
+    const notifications = [];
+
+    if (!shipment.dispatchedAt && event.status !== 'pending' && event.status !== 'failed') {
+        shipment.dispatchedAt = occurredAt;
+        notifications.push('dispatched');
+    }
+    if (!shipment.deliveredAt && event.status === 'delivered') {
+        shipment.deliveredAt = occurredAt;
+        notifications.push('delivered');
+    }
+
+    await shipment.save();
+
+    if (order) {
+        await syncOrderStatus(order, changedBy);
+        for (const notification of notifications) {
+            await notifyCustomer(order, shipment, notification);
+        }
+    }
+
+    return { shipment, duplicate: false };
+}
+
+// Create a shipment for some or all of what is left to send on an order.
+// items: [{ orderItem, quantity }], leave out to ship everything that's left.
+async function createShipment({ order, carrier, waybill, trackingUrl, items, dispatched = false, changedBy }) {
+    if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ShipmentError(`Orders that are ${order.status} can't be shipped`, 409);
+    }
+
+    const remaining = remainingQuantities(order, await shippedQuantities(order._id));
+    const lines = items && items.length > 0
+        ? items.map(({ orderItem, quantity }) => {
+            const line = remaining.find(entry => String(entry.orderItem._id) === String(orderItem));
+            if (!line) {
+                throw new ShipmentError(`Order item ${orderItem} is not part of this order`);
+            }
+            const qty = parseInt(quantity, 10);
+            if (!qty || qty < 1 || qty > line.remaining) {
+                throw new ShipmentError(`Invalid shipment quantity for order item ${orderItem}`);
+            }
+            return { orderItem: line.orderItem._id, quantity: qty };
+        })
+        : remaining.filter(line => line.remaining > 0).map(line => ({ orderItem: line.orderItem._id, quantity: line.remaining }));
+
+    if (lines.length === 0) {
+        throw new ShipmentError('Everything on this order has already been shipped', 409);
+    }
+
+    const shipment = new Shipment({
+        order: order._id,
+        clientID: order.clientID,
+        carrier,
+        waybill,
+        trackingUrl,
+        items: lines,
+        events: [{ status: 'pending', description: 'Shipment created' }],
+    });
+    await shipment.save();
+
+    // The order keeps the tracking details of its latest parcel
+    order.orderTrackingCode = waybill || order.orderTrackingCode;
+    order.orderTrackingLink = trackingUrl || order.orderTrackingLink;
+    await order.save();
+
+    if (dispatched) {
+        await addTrackingEvent(shipment, { status: 'dispatched', description: 'Handed to the courier' }, { changedBy });
+    }
+
+    return shipment;
+}
+
+module.exports = { ShipmentError, createShipment, addTrackingEvent, toTracking };
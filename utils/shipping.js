@@ -0,0 +1,155 @@
+const ShippingConfig = require('../models/shippingConfig');
+const { roundMoney } = require('./pricing');
+
+// Flat delivery charge for stores that haven't set up shipping. Without it they can't take orders
+// until they do, the price is never taken from the request.
+const DEFAULT_DELIVERY_PRICE = process.env.DEFAULT_DELIVERY_PRICE;
+
+class ShippingError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ShippingError';
+        this.statusCode = statusCode;
+    }
+}
+
+function matchesPostalCode(pattern, postalCode) {
+    if (pattern.endsWith('*')) {
+        return postalCode.startsWith(pattern.slice(0, -1));
+    }
+
+    const range = pattern.split('-');
+    if (range.length === 2) {
+        const code = parseInt(postalCode, 10);
+        return !Number.isNaN(code) && code >= parseInt(range[0], 10) && code <= parseInt(range[1], 10);
+    }
+
+    return pattern === postalCode;
+}
+
+// First configured zone the postal code falls in
+function findZone(config, postalCode) {
+    const code = String(postalCode || '').trim();
+    if (!code) return null;
+    return config.zones.find(zone => zone.postalCodes.some(pattern => matchesPostalCode(pattern, code))) || null;
+}
+
+const inBand = (value, min, max) => (min === undefined || min === null || value >= min)
+    && (max === undefined || max === null || value < max);
+
+// Cheapest band that fits, bands for the customer's zone win over bands for every zone
+function findRate(method, zone, weight, subtotal) {
+    const fitting = method.rates.filter(rate => inBand(weight, rate.minWeight, rate.maxWeight)
+        && inBand(subtotal, rate.minSubtotal, rate.maxSubtotal));
+    const zoned = zone ? fitting.filter(rate => rate.zone === zone.name) : [];
+    const candidates = zoned.length > 0 ? zoned : fitting.filter(rate => !rate.zone);
+    if (candidates.length === 0) return null;
+    return candidates.reduce((cheapest, rate) => (rate.price < cheapest.price ? rate : cheapest));
+}
+
+// Total cart weight in kg. lines: [{ product, quantity, sku }] with product populated, a SKU's own weight wins.
+function cartWeight(config, lines) {
+    return lines.reduce((total, line) => {
+        const weight = (line.sku && line.sku.weight) || line.product.weight || config.defaultWeight || 0;
+        return total + weight * line.quantity;
+    }, 0);
+}
+
+// A single "delivery" method at DEFAULT_DELIVERY_PRICE, null when that isn't set
+function defaultConfig() {
+    const price = Number(DEFAULT_DELIVERY_PRICE);
+    if (DEFAULT_DELIVERY_PRICE === undefined || DEFAULT_DELIVERY_PRICE === '' || Number.isNaN(price) || price < 0) {
+        return null;
+    }
+    return {
+        zones: [],
+        collectionPoints: [],
+        defaultWeight: 0,
+        methods: [{ code: 'delivery', name: 'Delivery', type: 'delivery', enabled: true, rates: [{ price }] }],
+    };
+}
+
+// The store's shipping setup, the default one for stores that haven't set it up, or null
+async function findConfig(clientID) {
+    const config = await ShippingConfig.findOne({ clientID });
+    return config && config.methods.length > 0 ? config : defaultConfig();
+}
+
+async function loadConfig(clientID) {
+    const config = await findConfig(clientID);
+    if (!config) {
+        throw new ShippingError('Shipping has not been set up for this store', 404);
+    }
+    return config;
+}
+
+function priceMethod(method, { zone, weight, subtotal }) {
+    if (method.type === 'collection' && method.rates.length === 0) {
+        return 0;
+    }
+    if (method.freeShippingThreshold !== undefined && method.freeShippingThreshold !== null
+        && subtotal >= method.freeShippingThreshold) {
+        return 0;
+    }
+    const rate = findRate(method, zone, weight, subtotal);
+    return rate ? roundMoney(rate.price) : null;
+}
+
+// Every method the cart can be sent with, cheapest first.
+// subtotal is what the customer pays for the goods, after sales and discount codes.
+async function quoteShipping({ clientID, lines, subtotal, postalCode }) {
+    const config = await loadConfig(clientID);
+    const zone = findZone(config, postalCode);
+    const weight = cartWeight(config, lines);
+    const collectionPoints = config.collectionPoints.filter(point => point.enabled);
+
+    const options = config.methods
+        .filter(method => method.enabled)
+        .filter(method => method.type === 'collection' ? collectionPoints.length > 0 : Boolean(postalCode))
+        .map(method => ({
+            method: method.code,
+            name: method.name,
+            type: method.type,
+            price: priceMethod(method, { zone, weight, subtotal }),
+            estimatedDays: method.estimatedDays,
+            freeShippingThreshold: method.freeShippingThreshold,
+            collectionPoints: method.type === 'collection' ? collectionPoints : undefined,
+        }))
+        .filter(option => option.price !== null)
+        .sort((a, b) => a.price - b.price);
+
+    return { zone: zone ? zone.name : null, weight: roundMoney(weight), options };
+}
+
+// Price the delivery the customer picked. Collection methods need one of the store's collection points.
+async function priceDelivery({ clientID, lines, subtotal, postalCode, deliveryType, collectionPoint }) {
+    const config = await loadConfig(clientID);
+
+    const method = config.methods.find(entry => entry.code === deliveryType && entry.enabled);
+    if (!method) {
+        throw new ShippingError(`Unknown delivery method: ${deliveryType}`);
+    }
+
+    let point;
+    if (method.type === 'collection') {
+        point = config.collectionPoints.find(entry => entry.code === collectionPoint && entry.enabled);
+        if (!point) {
+            throw new ShippingError('Choose a collection point');
+        }
+    }
+
+    const zone = findZone(config, postalCode);
+    const price = priceMethod(method, { zone, weight: cartWeight(config, lines), subtotal });
+    if (price === null) {
+        throw new ShippingError(`${method.name} is not available for this order`);
+    }
+
+    return {
+        method: method.code,
+        name: method.name,
+        price,
+        collectionPoint: point ? { code: point.code, name: point.name, address: point.address } : undefined,
+    };
+}
+
+module.exports = { ShippingError, quoteShipping, priceDelivery };
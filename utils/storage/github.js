@@ -0,0 +1,75 @@
+const { Octokit } = require('@octokit/rest');
+const StorageError = require('./storageError');
+
+// Commits each file to GITHUB_REPO ("owner/repo") on GITHUB_BRANCH under public/uploads,
+// and links to the raw file. Slow and rate-limited, kept for deployments already using it.
+let octokit = null;
+
+function getRepo() {
+    if (!process.env.GITHUB_REPO || !process.env.GITHUB_TOKEN) {
+        throw new StorageError('GitHub storage is not configured, set GITHUB_REPO and GITHUB_TOKEN', 500);
+    }
+    if (!octokit) {
+        octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+    }
+    const [owner, repo] = process.env.GITHUB_REPO.split('/');
+    return { owner, repo, branch: process.env.GITHUB_BRANCH };
+}
+
+const createFilePath = (key) => `public/uploads/${key}`;
+
+async function save(key, buffer) {
+    const { owner, repo, branch } = getRepo();
+    const { data } = await octokit.repos.createOrUpdateFileContents({
+        owner,
+        repo,
+        path: createFilePath(key),
+        message: `Upload ${key}`,
+        content: buffer.toString('base64'),
+        branch,
+    });
+    return data.content.download_url;
+}
+
+// Raw links look like https://raw.githubusercontent.com/owner/repo/branch/public/uploads/<key>
+function keyFromUrl(url) {
+    if (typeof url !== 'string' || !process.env.GITHUB_REPO) return null;
+    const start = `https://raw.githubusercontent.com/${process.env.GITHUB_REPO}/`;
+    if (!url.startsWith(start)) return null;
+    const match = url.slice(start.length).split(/[?#]/)[0].match(/^[^/]+\/public\/uploads\/([^/]+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Deleting needs the file's current blob SHA
+async function remove(key) {
+    const { owner, repo, branch } = getRepo();
+    let sha;
+    try {
+        const { data } = await octokit.repos.getContent({ owner, repo, path: createFilePath(key), ref: branch });
+        sha = data.sha;
+    } catch (error) {
+        if (error.status === 404) return;
+        throw error;
+    }
+    await octokit.repos.deleteFile({
+        owner,
+        repo,
+        path: createFilePath(key),
+        message: `Remove ${key}`,
+        sha,
+        branch,
+    });
+}
+
+// Links point straight at GitHub
+async function read() {
+    return null;
+}
+
+module.exports = {
+    name: 'github',
+    save,
+    remove,
+    read,
+    keyFromUrl,
+};
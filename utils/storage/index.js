@@ -0,0 +1,58 @@
+const StorageError = require('./storageError');
+
+const adapters = {
+    local: require('./local'),
+    s3: require('./s3'),
+    github: require('./github'),
+};
+
+const DRIVERS = Object.keys(adapters);
+
+// STORAGE_DRIVER picks the backend for the deployment. Deployments set up before
+// it existed store on GitHub.
+function getStorage() {
+    const name = process.env.STORAGE_DRIVER || 'github';
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new StorageError(`Unknown storage driver: ${name}, use one of ${DRIVERS.join(', ')}`, 500);
+    }
+    return adapter;
+}
+
+// Unique, path-safe file name, e.g. summer-dress-1718983650177-52113 (.jpeg with an extension)
+const uniqueFileName = (originalName, extension) => {
+    const base = String(originalName || 'file').split(' ').join('-').replace(/[^A-Za-z0-9._()-]/g, '');
+    return `${base || 'file'}-${Date.now()}-${Math.round(Math.random() * 1e6)}${extension ? `.${extension}` : ''}`;
+};
+
+// Store a file under key, returns its public URL
+async function storeFile(key, buffer, contentType) {
+    return getStorage().save(key, buffer, contentType);
+}
+
+// Delete stored files by URL. Links the current backend didn't make (another backend, an
+// outside image) are left alone. Failures are logged rather than thrown: the record the image
+// belonged to is already gone, a stray file is no reason to fail the request.
+async function deleteFiles(urls) {
+    const storage = getStorage();
+    const keys = [...new Set((urls || []).map(url => storage.keyFromUrl(url)).filter(Boolean))];
+    await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+        console.error(`Error deleting stored file ${key}:`, error);
+    })));
+    return keys.length;
+}
+
+// Stream a file kept in a backend that isn't served directly, for GET /public/uploads/:key
+async function readFile(key) {
+    return getStorage().read(key);
+}
+
+module.exports = {
+    StorageError,
+    DRIVERS,
+    getStorage,
+    uniqueFileName,
+    storeFile,
+    deleteFiles,
+    readFile,
+};
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files land in public/uploads, which app.js serves at /public/uploads
+const UPLOAD_DIR = path.join(__dirname, '..', '..', 'public', 'uploads');
+const UPLOADS_PATH = '/public/uploads/';
+
+// STORAGE_PUBLIC_URL is where the API is reachable, e.g. https://api.example.com.
+// Without it links are relative to the API.
+const publicBase = () => (process.env.STORAGE_PUBLIC_URL || '').replace(/\/+$/, '');
+
+const uploadsUrl = (key) => `${publicBase()}${UPLOADS_PATH}${encodeURIComponent(key)}`;
+
+// The key of a link made by uploadsUrl, null for anything else
+function uploadsKey(url) {
+    const prefix = `${publicBase()}${UPLOADS_PATH}`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+    const key = decodeURIComponent(url.slice(prefix.length).split(/[?#]/)[0]);
+    return key && !key.includes('/') && !key.includes('\\') && key !== '..' ? key : null;
+}
+
+async function save(key, buffer) {
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(UPLOAD_DIR, key), buffer);
+    return uploadsUrl(key);
+}
+
+async function remove(key) {
+    try {
+        await fs.promises.unlink(path.join(UPLOAD_DIR, key));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+// express.static serves these directly, nothing to stream
+async function read() {
+    return null;
+}
+
+module.exports = {
+    name: 'local',
+    save,
+    remove,
+    read,
+    keyFromUrl: uploadsKey,
+    uploadsUrl,
+    uploadsKey,
+};
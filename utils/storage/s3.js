@@ -0,0 +1,73 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const StorageError = require('./storageError');
+const { uploadsUrl, uploadsKey } = require('./local');
+
+// Any S3-compatible store. Settings:
+//   S3_BUCKET, S3_REGION (default us-east-1), S3_PREFIX (default uploads/)
+//   S3_ENDPOINT for MinIO and other non-AWS stores, path-style addressing is used with it
+//   S3_PUBLIC_URL when the bucket is readable over HTTP, e.g. https://cdn.example.com.
+//   Without it files are streamed through the API under /public/uploads.
+// Credentials come from the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY variables.
+let client = null;
+
+function getClient() {
+    if (!process.env.S3_BUCKET) {
+        throw new StorageError('S3 storage is not configured, set S3_BUCKET', 500);
+    }
+    if (!client) {
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        });
+    }
+    return client;
+}
+
+const prefix = () => (process.env.S3_PREFIX === undefined ? 'uploads/' : process.env.S3_PREFIX);
+const bucketUrl = () => (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+
+const publicUrl = (key) => (bucketUrl() ? `${bucketUrl()}/${prefix()}${encodeURIComponent(key)}` : uploadsUrl(key));
+
+function keyFromUrl(url) {
+    if (bucketUrl() && typeof url === 'string') {
+        const start = `${bucketUrl()}/${prefix()}`;
+        if (url.startsWith(start)) {
+            return decodeURIComponent(url.slice(start.length).split(/[?#]/)[0]) || null;
+        }
+    }
+    return uploadsKey(url);
+}
+
+async function save(key, buffer, contentType) {
+    await getClient().send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: `${prefix()}${key}`,
+        Body: buffer,
+        ContentType: contentType,
+    }));
+    return publicUrl(key);
+}
+
+async function remove(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: `${prefix()}${key}` }));
+}
+
+// The file as a stream, null when the bucket has no such key
+async function read(key) {
+    try {
+        const object = await getClient().send(new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: `${prefix()}${key}` }));
+        return { body: object.Body, contentType: object.ContentType };
+    } catch (error) {
+        if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+        throw error;
+    }
+}
+
+module.exports = {
+    name: 's3',
+    save,
+    remove,
+    read,
+    keyFromUrl,
+};
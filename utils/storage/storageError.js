@@ -0,0 +1,10 @@
+// Raised by the storage layer for uploads the caller should see as a client error
+class StorageError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'StorageError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = StorageError;
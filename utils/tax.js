@@ -0,0 +1,79 @@
+const { roundMoney } = require('./pricing');
+
+// Standard-rated supplies carry VAT, zero-rated ones carry VAT at 0%, exempt ones carry none
+const TAX_CLASSES = ['standard', 'zero', 'exempt'];
+
+// South African standard VAT rate
+const DEFAULT_TAX_RATE = 15;
+
+// How a client charges tax. Clients that are not VAT registered charge none.
+function taxSettingsFor(client) {
+    return {
+        registered: Boolean(client && client.vatRegistered),
+        rate: client && typeof client.defaultTaxRate === 'number' ? client.defaultTaxRate : DEFAULT_TAX_RATE,
+        pricesIncludeTax: !client || client.pricesIncludeTax !== false,
+    };
+}
+
+function rateFor(settings, taxClass = 'standard') {
+    if (!settings.registered || taxClass !== 'standard') {
+        return 0;
+    }
+    return settings.rate;
+}
+
+// Split an amount as entered into net, tax and gross
+function calculateTax(amount, rate, pricesIncludeTax) {
+    if (pricesIncludeTax) {
+        const tax = roundMoney(amount * rate / (100 + rate));
+        return { net: roundMoney(amount - tax), tax, gross: roundMoney(amount) };
+    }
+    const tax = roundMoney(amount * rate / 100);
+    return { net: roundMoney(amount), tax, gross: roundMoney(amount + tax) };
+}
+
+// Add tax to a priced order (see utils/pricing.js). Each line gets its class, rate and split,
+// the order gets a summary per class. Prices entered without tax make the total go up by the tax.
+function applyTax(pricing, settings) {
+    const lines = pricing.lines.map(line => {
+        const taxClass = line.product.taxClass || 'standard';
+        const taxRate = rateFor(settings, taxClass);
+        return { ...line, taxClass, taxRate, ...calculateTax(line.lineTotal, taxRate, settings.pricesIncludeTax) };
+    });
+
+    // Delivery is a standard-rated supply
+    const deliveryRate = rateFor(settings, 'standard');
+    const delivery = { taxClass: 'standard', taxRate: deliveryRate, ...calculateTax(pricing.deliveryPrice, deliveryRate, settings.pricesIncludeTax) };
+
+    const rates = [];
+    [...lines, delivery].forEach(line => {
+        let entry = rates.find(rate => rate.taxClass === line.taxClass && rate.rate === line.taxRate);
+        if (!entry) {
+            entry = { taxClass: line.taxClass, rate: line.taxRate, net: 0, tax: 0, gross: 0 };
+            rates.push(entry);
+        }
+        entry.net = roundMoney(entry.net + line.net);
+        entry.tax = roundMoney(entry.tax + line.tax);
+        entry.gross = roundMoney(entry.gross + line.gross);
+    });
+
+    const totals = rates.reduce((sum, rate) => ({
+        net: roundMoney(sum.net + rate.net),
+        tax: roundMoney(sum.tax + rate.tax),
+        gross: roundMoney(sum.gross + rate.gross),
+    }), { net: 0, tax: 0, gross: 0 });
+
+    return {
+        ...pricing,
+        lines,
+        total: totals.gross,
+        tax: {
+            registered: settings.registered,
+            pricesIncludeTax: settings.pricesIncludeTax,
+            rates: rates.filter(rate => rate.gross !== 0),
+            ...totals,
+        },
+    };
+}
+
+module.exports = { TAX_CLASSES, DEFAULT_TAX_RATE, taxSettingsFor, rateFor, calculateTax, applyTax };
@@ -0,0 +1,181 @@
+// Order lines carry the chosen option for each attribute as a loose string,
+// named after the attribute ("Size" is picked through `size`, "Color" through `color`...)
+const OPTION_FIELDS = ['size', 'color', 'material', 'style', 'title'];
+
+// Raised for SKU setups that can't be saved (unknown combination, duplicate code...)
+class VariantError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'VariantError';
+        this.statusCode = statusCode;
+    }
+}
+
+// SKU fields the merchant can set, the options are fixed by the combination
+const SKU_FIELDS = ['code', 'barcode', 'price', 'stock', 'weight', 'image', 'active'];
+
+// Match an order line's choices against the product's variants.
+// `option` is null when the line asks for a value the product doesn't have.
+function findSelectedOptions(product, item) {
+    const selections = [];
+
+    (product.variants || []).forEach(variant => {
+        const field = variant.name.toLowerCase();
+        if (!OPTION_FIELDS.includes(field)) return;
+
+        const chosen = item[field];
+        if (chosen === undefined || chosen === null || chosen === '') return;
+
+        const option = variant.values.find(v => v.value === chosen || String(v._id) === String(chosen)) || null;
+        selections.push({ variant, value: chosen, option });
+    });
+
+    return selections;
+}
+
+// The option fields set on a line, for products without SKUs
+function optionFieldsOf(item) {
+    const fields = {};
+    OPTION_FIELDS.forEach(field => {
+        if (item[field]) fields[field] = item[field];
+    });
+    return fields;
+}
+
+// The SKU an order line is for, by its ID or code. Lines from storefronts that still send
+// size, color... get the SKU with exactly those values. Null for products without SKUs
+// and for lines that don't pick one.
+function findSku(product, item) {
+    const skus = product.skus || [];
+    if (skus.length === 0 || !item) return null;
+
+    if (item.sku) {
+        const wanted = String(item.sku);
+        return skus.find(sku => String(sku._id) === wanted || sku.code === wanted.toUpperCase()) || null;
+    }
+    return skus.find(sku => sku.options.every(option => item[option.name.toLowerCase()] === option.value)) || null;
+}
+
+const optionsKey = (options) => options
+    .map(option => `${String(option.name).toLowerCase()}=${option.value}`)
+    .sort()
+    .join('|');
+
+const codePart = (text) => String(text).toUpperCase().replace(/[^A-Z0-9]+/g, '').slice(0, 10);
+
+// e.g. TSHIRT-3F9A1C-RED-M, the end of the product ID keeps codes apart between products with the same name
+const defaultSkuCode = (product, options) => [
+    codePart(product.productName) || 'SKU',
+    String(product._id).slice(-6).toUpperCase(),
+    ...options.map(option => codePart(option.value)),
+].join('-');
+
+function readSkuFields(override, key) {
+    const fields = {};
+    SKU_FIELDS.forEach(field => {
+        if (override[field] !== undefined && override[field] !== null && override[field] !== '') {
+            fields[field] = override[field];
+        }
+    });
+    if (fields.price !== undefined) {
+        fields.price = Number(fields.price);
+        if (Number.isNaN(fields.price) || fields.price < 0) {
+            throw new VariantError(`Price for ${key} must be a non-negative number`);
+        }
+    }
+    if (fields.stock !== undefined) {
+        fields.stock = Number(fields.stock);
+        if (!Number.isInteger(fields.stock) || fields.stock < 0) {
+            throw new VariantError(`Stock for ${key} must be a non-negative whole number`);
+        }
+    }
+    if (fields.weight !== undefined) {
+        fields.weight = Number(fields.weight);
+        if (Number.isNaN(fields.weight) || fields.weight < 0) {
+            throw new VariantError(`Weight for ${key} must be a non-negative number`);
+        }
+    }
+    if (fields.active !== undefined) {
+        fields.active = fields.active !== false && fields.active !== 'false';
+    }
+    if (fields.code !== undefined) {
+        fields.code = String(fields.code).trim().toUpperCase();
+    }
+    return fields;
+}
+
+// One SKU for every combination of the product's variant values.
+// Combinations that already had a SKU keep it, with its ID, code, price and stock. New ones
+// start at the product price plus the values' price differences, and with no stock unless
+// the product has a single attribute, where the value's own stock carries over.
+// overrides: [{ options: { Size: 'M', Color: 'Red' }, code, barcode, price, stock, weight, image, active }]
+function buildSkus(product, overrides = []) {
+    const attributes = (product.variants || []).filter(variant => variant.values && variant.values.length > 0);
+    if (attributes.length === 0) return [];
+
+    const combinations = attributes.reduce((list, variant) => list.flatMap(options => variant.values.map(option => [
+        ...options,
+        { name: variant.name, value: option.value, price: option.price || 0, stock: option.stock || 0 },
+    ])), [[]]);
+
+    const existing = new Map((product.skus || []).map(sku => [optionsKey(sku.options), sku]));
+    const keys = new Set(combinations.map(optionsKey));
+    const overridesByKey = new Map();
+    overrides.forEach(override => {
+        const options = Object.entries(override.options || {}).map(([name, value]) => ({ name, value: String(value) }));
+        const key = optionsKey(options);
+        if (!keys.has(key)) {
+            throw new VariantError(`No combination of this product's variants matches ${options.map(o => `${o.name}: ${o.value}`).join(', ') || 'an empty SKU'}`);
+        }
+        overridesByKey.set(key, readSkuFields(override, key));
+    });
+
+    const skus = combinations.map(options => {
+        const key = optionsKey(options);
+        const previous = existing.get(key);
+        const sku = previous
+            ? {
+                _id: previous._id,
+                code: previous.code,
+                barcode: previous.barcode,
+                price: previous.price,
+                stock: previous.stock,
+                weight: previous.weight,
+                image: previous.image,
+                active: previous.active,
+            }
+            : {
+                code: defaultSkuCode(product, options),
+                price: Math.round((Number(product.price) + options.reduce((total, option) => total + option.price, 0)) * 100) / 100,
+                stock: attributes.length === 1 ? options[0].stock : 0,
+                active: true,
+            };
+        return {
+            ...sku,
+            ...(overridesByKey.get(key) || {}),
+            options: options.map(({ name, value }) => ({ name, value })),
+        };
+    });
+
+    const codes = new Set();
+    skus.forEach(sku => {
+        if (codes.has(sku.code)) {
+            throw new VariantError(`SKU code ${sku.code} is used more than once`);
+        }
+        codes.add(sku.code);
+    });
+    return skus;
+}
+
+// A product with SKUs has as much stock as its SKUs together
+const totalSkuStock = (skus) => skus.reduce((total, sku) => total + (sku.stock || 0), 0);
+
+module.exports = {
+    OPTION_FIELDS,
+    VariantError,
+    findSelectedOptions,
+    optionFieldsOf,
+    findSku,
+    buildSkus,
+    totalSkuStock,
+};